@@ -1,90 +1,588 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+  McpServer,
+  ResourceTemplate,
+} from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { parseArgs } from "util";
+import {
+  isLoopbackHost,
+  isWildcardHost,
+  startHttpServer,
+} from "./transports/http.js";
 
 // Import tools
 import { kagiSearchFetch, searchToolConfig } from "./tools/search.js";
 import { kagiSummarizer, summarizerToolConfig } from "./tools/summarizer.js";
-import { kagiAssistant, assistantToolConfig } from "./tools/assistant.js";
+import { kagiAssistant, createAssistantToolConfig } from "./tools/assistant.js";
+import { kagiListModels, listModelsToolConfig } from "./tools/models.js";
+import { authStatusToolConfig, kagiAuthStatus } from "./tools/auth.js";
+import { kagiResearch, researchToolConfig } from "./tools/research.js";
+import { fetchPageToolConfig, kagiFetchPage } from "./tools/fetch.js";
+import { kagiQuickAnswer, quickAnswerToolConfig } from "./tools/answer.js";
+import { getAvailableModels, getVisionModelOverride } from "./utils/models.js";
+import {
+  applyToolDefaults,
+  getConfig,
+  getToolConfig,
+  loadConfig,
+} from "./utils/config.js";
+import { redactSecrets, resolveCredentials } from "./utils/auth.js";
+import { requireConfiguredFileRoots } from "./utils/files.js";
+import { configureNetwork } from "./utils/network.js";
+import {
+  deleteConversationToolConfig,
+  forkConversationToolConfig,
+  kagiDeleteConversation,
+  kagiForkConversation,
+  kagiListConversations,
+  kagiListMessages,
+  kagiRenameConversation,
+  kagiResumeConversation,
+  listConversationsToolConfig,
+  listMessagesToolConfig,
+  renameConversationToolConfig,
+  resumeConversationToolConfig,
+} from "./tools/conversations.js";
+
+// Import prompts
+import { getPrompts } from "./prompts/custom.js";
+
+// Import resources
+import {
+  completeThreadId,
+  listThreadResources,
+  readThreadResource,
+  threadResourceConfig,
+} from "./resources/threads.js";
+import {
+  listHistoryResources,
+  readHistoryResource,
+  searchResourceConfig,
+  summaryResourceConfig,
+} from "./resources/history.js";
+import { onConversationsChanged } from "./utils/conversations.js";
+import { onHistoryChanged } from "./utils/history.js";
+
+const ASSISTANT_TOOL_NAME = "kagi_assistant";
+
+/**
+ * Tools and prompts resolved from the configuration once and shared by every
+ * server instance, so an HTTP session only registers them
+ */
+class ServerDefinitions {
+  constructor() {
+    this.tools = [];
+    this.toolNames = new Set([ASSISTANT_TOOL_NAME]);
+    this.assistantTool = null;
+    this.defineTools();
+    this.checkToolSettings();
+    this.prompts = getPrompts(this.toolNames);
+  }
+
+  /**
+   * Resolve a tool's configured name, description and parameter defaults
+   *
+   * @param {Object} toolConfig - Tool registration configuration
+   * @param {string} title - Tool title
+   * @param {Function} handler - Tool handler, called with the arguments, the
+   *   request handler extra and the server instance
+   * @returns {Object|null} Tool definition, or null if the tool is disabled
+   */
+  defineTool(toolConfig, title, handler) {
+    this.toolNames.add(toolConfig.name);
+    const settings = getToolConfig(toolConfig.name);
+    if (!settings.enabled) {
+      return null;
+    }
+
+    return {
+      name: settings.name || toolConfig.name,
+      config: {
+        title,
+        description: settings.description || toolConfig.description,
+        inputSchema: applyToolDefaults(
+          toolConfig.name,
+          toolConfig.inputSchema,
+          settings.defaults,
+        ),
+        outputSchema: toolConfig.outputSchema,
+      },
+      handler,
+    };
+  }
+
+  /**
+   * Define a tool that every server instance registers
+   * @param {Object} toolConfig - Tool registration configuration
+   * @param {string} title - Tool title
+   * @param {Function} handler - Tool handler
+   */
+  addTool(toolConfig, title, handler) {
+    const tool = this.defineTool(toolConfig, title, handler);
+    if (tool) {
+      this.tools.push(tool);
+    }
+  }
+
+  /**
+   * Check that the configuration only has settings for known tools
+   * @throws {Error} If a tool setting names an unknown tool
+   */
+  checkToolSettings() {
+    for (const name of Object.keys(getConfig().tools)) {
+      if (!this.toolNames.has(name)) {
+        throw new Error(
+          `Invalid configuration: tools.${name}: unknown tool. Tools are configured by their default names: ${
+            [...this.toolNames].join(", ")
+          }`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Define the tools other than the assistant
+   */
+  defineTools() {
+    // Search tool
+    this.addTool(
+      searchToolConfig,
+      "Kagi Search",
+      async (args, extra) => await kagiSearchFetch(args, extra),
+    );
+
+    // Summarizer tool
+    this.addTool(
+      summarizerToolConfig,
+      "Kagi Summarizer",
+      async (args, extra) => await kagiSummarizer(args, extra),
+    );
+
+    // Quick answer tool
+    this.addTool(
+      quickAnswerToolConfig,
+      "Kagi Quick Answer",
+      async (args, extra) => await kagiQuickAnswer(args, extra),
+    );
+
+    // Page fetch tool
+    this.addTool(
+      fetchPageToolConfig,
+      "Fetch Web Page",
+      async (args, extra) => await kagiFetchPage(args, extra),
+    );
+
+    // Credential check tool
+    this.addTool(
+      authStatusToolConfig,
+      "Kagi Credential Status",
+      async (args, extra) => await kagiAuthStatus(args, extra),
+    );
+
+    // Model listing tool; a successful listing also registers the assistant
+    // tool if model discovery failed at startup
+    this.addTool(
+      listModelsToolConfig,
+      "List Kagi Assistant Models",
+      async (args, extra, instance) => {
+        const result = await kagiListModels(args, extra);
+        if (!result.isError) {
+          await instance.registerAssistantTool();
+        }
+        return result;
+      },
+    );
+
+    // Research tool, which chains search, summarizer and assistant
+    this.addTool(
+      researchToolConfig,
+      "Kagi Research",
+      async (args, extra) => await kagiResearch(args, extra),
+    );
+
+    // Assistant conversation management tools
+    this.addTool(
+      listConversationsToolConfig,
+      "List Kagi Assistant Conversations",
+      async (args) => await kagiListConversations(args),
+    );
+
+    this.addTool(
+      resumeConversationToolConfig,
+      "Resume Kagi Assistant Conversation",
+      async (args) => await kagiResumeConversation(args),
+    );
+
+    this.addTool(
+      renameConversationToolConfig,
+      "Rename Kagi Assistant Conversation",
+      async (args) => await kagiRenameConversation(args),
+    );
+
+    this.addTool(
+      deleteConversationToolConfig,
+      "Delete Kagi Assistant Conversation",
+      async (args) => await kagiDeleteConversation(args),
+    );
+
+    this.addTool(
+      listMessagesToolConfig,
+      "List Kagi Assistant Messages",
+      async (args) => await kagiListMessages(args),
+    );
+
+    this.addTool(
+      forkConversationToolConfig,
+      "Fork Kagi Assistant Conversation",
+      async (args) => await kagiForkConversation(args),
+    );
+  }
+
+  /**
+   * Define the assistant tool with the models available to the account
+   * Model discovery needs the network, so it runs apart from the other tools,
+   * once for all server instances. Without a search cookie, or when
+   * discovery fails, the assistant is left out (and can be added later by
+   * kagi_list_models) while search and summarizer keep working.
+   *
+   * @returns {Promise<Object|null>} Tool definition, or null if not available
+   */
+  loadAssistantTool() {
+    if (!getToolConfig(ASSISTANT_TOOL_NAME).enabled) {
+      return Promise.resolve(null);
+    }
+
+    this.assistantTool ??= (async () => {
+      resolveCredentials(undefined, { searchCookie: true });
+      const models = await getAvailableModels();
+      return this.defineTool(
+        createAssistantToolConfig(models, getVisionModelOverride()),
+        "Kagi Assistant",
+        async (args, extra) => await kagiAssistant(args, extra),
+      );
+    })().catch((error) => {
+      const hint = error.hint ? ` ${error.hint}` : "";
+      console.error(
+        `Kagi Assistant tool not available: ${redactSecrets(error.message)}${hint}`,
+      );
+      this.assistantTool = null;
+      return null;
+    });
+    return this.assistantTool;
+  }
+}
 
 /**
  * Kagi MCP Server using kagi-ken package
  * Provides search, summarization, and AI assistant capabilities compatible with official Kagi MCP
  */
 class KagiKenMcpServer {
-  constructor() {
+  /**
+   * @param {ServerDefinitions} definitions - Shared tool and prompt definitions
+   */
+  constructor(definitions) {
+    this.definitions = definitions;
     this.server = new McpServer({
       name: "kagi-ken-mcp",
       version: "1.0.0",
     });
+    this.assistantRegistered = false;
     this.setupTools();
+    this.setupResources();
+    this.setupPrompts();
+  }
+
+  /**
+   * Register a tool definition with this server
+   * @param {Object} tool - Tool definition
+   */
+  registerTool(tool) {
+    this.server.registerTool(
+      tool.name,
+      tool.config,
+      (args, extra) => tool.handler(args, extra, this),
+    );
   }
 
   /**
    * Register tools with the MCP server
    */
   setupTools() {
-    // Register search tool
-    this.server.registerTool(
-      searchToolConfig.name,
+    for (const tool of this.definitions.tools) {
+      this.registerTool(tool);
+    }
+
+    // Register assistant tool once its models are known
+    this.registerAssistantTool();
+  }
+
+  /**
+   * Register a resource template
+   * @param {Object} resourceConfig - Resource registration configuration
+   * @param {Object} callbacks - Template callbacks (list, complete)
+   * @param {Function} read - Reads a resource of the template
+   */
+  registerResourceTemplate(resourceConfig, callbacks, read) {
+    this.server.registerResource(
+      resourceConfig.name,
+      new ResourceTemplate(resourceConfig.uriTemplate, callbacks),
       {
-        title: "Kagi Search",
-        description: searchToolConfig.description,
-        inputSchema: searchToolConfig.inputSchema,
+        title: resourceConfig.title,
+        description: resourceConfig.description,
+        mimeType: resourceConfig.mimeType,
       },
-      async (args) => await kagiSearchFetch(args),
+      read,
     );
+  }
 
-    // Register summarizer tool
-    this.server.registerTool(
-      summarizerToolConfig.name,
+  /**
+   * Register resources for saved conversations and recent results, and tell
+   * the client when their lists change
+   */
+  setupResources() {
+    this.registerResourceTemplate(
+      threadResourceConfig,
       {
-        title: "Kagi Summarizer",
-        description: summarizerToolConfig.description,
-        inputSchema: summarizerToolConfig.inputSchema,
+        list: async () => listThreadResources(),
+        complete: { id: async (value) => completeThreadId(value) },
       },
-      async (args) => await kagiSummarizer(args),
+      async (uri, variables) => readThreadResource(uri, variables),
     );
 
-    // Register assistant tool
-    this.server.registerTool(
-      assistantToolConfig.name,
-      {
-        title: "Kagi Assistant",
-        description: assistantToolConfig.description,
-        inputSchema: assistantToolConfig.inputSchema,
-      },
-      async (args) => await kagiAssistant(args),
+    this.registerResourceTemplate(
+      searchResourceConfig,
+      { list: async (extra) => listHistoryResources("search", extra) },
+      async (uri, variables, extra) =>
+        readHistoryResource("search", uri, variables, extra),
+    );
+
+    this.registerResourceTemplate(
+      summaryResourceConfig,
+      { list: async (extra) => listHistoryResources("summary", extra) },
+      async (uri, variables, extra) =>
+        readHistoryResource("summary", uri, variables, extra),
     );
+
+    // Conversations are shared by all sessions of an HTTP server, results
+    // belong to the session that produced them. A session may close while it
+    // is notified, which is not worth more than a log line.
+    const notify = () => {
+      if (this.server.isConnected()) {
+        this.server.server.sendResourceListChanged().catch((error) => {
+          console.error(`Failed to send resource list change: ${error.message}`);
+        });
+      }
+    };
+    const unsubscribe = [
+      onConversationsChanged(notify),
+      onHistoryChanged((entry) => {
+        if (entry.sessionId === this.server.server.transport?.sessionId) {
+          notify();
+        }
+      }),
+    ];
+    this.server.server.onclose = () => {
+      unsubscribe.forEach((stop) => stop());
+    };
+  }
+
+  /**
+   * Register the built-in prompts and those from the configuration
+   */
+  setupPrompts() {
+    for (const prompt of this.definitions.prompts) {
+      this.server.registerPrompt(
+        prompt.name,
+        {
+          title: prompt.title,
+          description: prompt.description,
+          argsSchema: prompt.argsSchema,
+        },
+        (args) => ({
+          messages: [{
+            role: "user",
+            content: { type: "text", text: prompt.build(args) },
+          }],
+        }),
+      );
+    }
   }
 
   /**
-   * Start the MCP server
+   * Register the assistant tool once its shared definition is loaded
+   * @returns {Promise<boolean>} Whether the assistant tool is registered
+   */
+  async registerAssistantTool() {
+    const tool = await this.definitions.loadAssistantTool();
+    if (tool && !this.assistantRegistered) {
+      this.assistantRegistered = true;
+      this.registerTool(tool);
+    }
+    return this.assistantRegistered;
+  }
+
+  /**
+   * Start the MCP server on stdio
    */
   async start() {
     try {
+      // Model discovery (started in setupTools) can take as long as its
+      // timeout and retries, so it must not hold up the handshake; if the
+      // assistant is registered after connecting, clients are sent
+      // tools/list_changed
       const transport = new StdioServerTransport();
       await this.server.connect(transport);
       console.error("Kagi Ken MCP Server started successfully");
     } catch (error) {
-      console.error("Failed to start Kagi Ken MCP Server:", error);
+      console.error(
+        `Failed to start Kagi Ken MCP Server: ${redactSecrets(error.stack || error)}`,
+      );
       process.exit(1);
     }
   }
 }
 
+/**
+ * Parse command line flags
+ * --config (KAGI_MCP_CONFIG): Config file
+ * --transport, --host, --port: Override the server settings of the configuration
+ *
+ * @returns {Object} Flag values
+ */
+function parseFlags() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: "string" },
+      transport: { type: "string" },
+      host: { type: "string" },
+      port: { type: "string" },
+    },
+  });
+  return values;
+}
+
+/**
+ * Resolve transport options from CLI flags, falling back to the server
+ * configuration (KAGI_MCP_TRANSPORT, KAGI_MCP_HOST, KAGI_MCP_PORT):
+ * --transport: "stdio" (default) or "http"
+ * --host: HTTP host (default: 127.0.0.1)
+ * --port: HTTP port (default: 3000)
+ * KAGI_MCP_AUTH_TOKEN: Bearer token required by the HTTP transport, and
+ * always when it listens beyond the loopback interface
+ * KAGI_MCP_ALLOWED_HOSTS: Host names clients connect with, required when
+ * listening on every interface
+ *
+ * @param {Object} flags - Command line flags
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} Transport options
+ * @throws {Error} If an option is invalid
+ */
+function getTransportOptions(flags, config) {
+  const transport = flags.transport || config.server.transport;
+  if (!["stdio", "http"].includes(transport)) {
+    throw new Error(
+      `Invalid transport "${transport}". Must be 'stdio' or 'http'.`,
+    );
+  }
+
+  const port = flags.port ? Number(flags.port) : config.server.port;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port "${flags.port}".`);
+  }
+
+  const host = flags.host || config.server.host;
+  const authToken = process.env.KAGI_MCP_AUTH_TOKEN || undefined;
+  if (transport === "http" && !authToken && !isLoopbackHost(host)) {
+    throw new Error(
+      `Refusing to listen on ${host} without authentication. Set KAGI_MCP_AUTH_TOKEN, or listen on 127.0.0.1.`,
+    );
+  }
+
+  const allowedHosts = config.server.allowed_hosts;
+  if (transport === "http" && isWildcardHost(host) && allowedHosts.length === 0) {
+    throw new Error(
+      `Listening on ${host} needs the host names clients connect with. Set KAGI_MCP_ALLOWED_HOSTS (e.g. "mcp.example.com,192.168.1.10").`,
+    );
+  }
+
+  return { transport, host, port, authToken, allowedHosts };
+}
+
+/**
+ * Start the MCP server on HTTP, with one server instance per session
+ * @param {Object} options - Transport options
+ * @param {ServerDefinitions} definitions - Definitions shared by the sessions
+ */
+async function startHttp(options, definitions) {
+  try {
+    if (!options.authToken) {
+      console.error(
+        "Warning: KAGI_MCP_AUTH_TOKEN not set, the HTTP server accepts unauthenticated requests from this machine",
+      );
+    }
+
+    // The working directory is the server's, not the clients'
+    requireConfiguredFileRoots();
+    if (!getConfig().files.roots) {
+      console.error(
+        "KAGI_FILE_ROOTS not set, tools that read local files are disabled",
+      );
+    }
+
+    const httpServer = await startHttpServer(
+      () => new KagiKenMcpServer(definitions).server,
+      options,
+    );
+    console.error(
+      `Kagi Ken MCP Server listening on http://${options.host}:${httpServer.port}/mcp (legacy SSE: /sse)`,
+    );
+
+    const shutdown = async (signal) => {
+      console.error(`Received ${signal}, shutting down`);
+      await httpServer.close();
+      process.exit(0);
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  } catch (error) {
+    console.error(
+      `Failed to start Kagi Ken MCP Server: ${redactSecrets(error.stack || error)}`,
+    );
+    process.exit(1);
+  }
+}
+
 // Handle uncaught exceptions
 process.on("uncaughtException", (error) => {
-  console.error("Uncaught exception:", error);
+  console.error(`Uncaught exception: ${redactSecrets(error.stack || error)}`);
   process.exit(1);
 });
 
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("Unhandled rejection at:", promise, "reason:", reason);
+process.on("unhandledRejection", (reason) => {
+  console.error(`Unhandled rejection: ${redactSecrets(reason?.stack || reason)}`);
   process.exit(1);
 });
 
-// Start the server
-const server = new KagiKenMcpServer();
-await server.start();
+// Load the configuration and start the server
+let options;
+let definitions;
+try {
+  const flags = parseFlags();
+  options = getTransportOptions(flags, await loadConfig({ path: flags.config }));
+  configureNetwork();
+  // Resolved up front so tool configuration errors show at startup
+  definitions = new ServerDefinitions();
+} catch (error) {
+  console.error(redactSecrets(error.message));
+  process.exit(1);
+}
+
+if (options.transport === "http") {
+  // Start model discovery before the first session connects
+  definitions.loadAssistantTool();
+  await startHttp(options, definitions);
+} else {
+  await new KagiKenMcpServer(definitions).start();
+}
@@ -0,0 +1,116 @@
+import { z } from "zod";
+import { completable } from "@modelcontextprotocol/sdk/server/completable.js";
+import { getToolName } from "../utils/config.js";
+import { completeThreadId } from "../resources/threads.js";
+
+/**
+ * Built-in prompts
+ *
+ * Each prompt expands into instructions for the model to use this server's
+ * tools, under the names they are registered with. A prompt lists the tools it
+ * needs and is left out when one of them is disabled.
+ */
+
+/**
+ * Split a list argument given as one URL or item per line, or comma-separated
+ * @param {string} value - Argument value
+ * @returns {Array<string>} Items
+ */
+function splitItems(value) {
+  return value.split(/[\n,]/).map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Research a topic with kagi_research
+ */
+const researchTopicPrompt = {
+  name: "research_topic",
+  title: "Research a Topic",
+  description: "Research a topic on the web and get a cited report.",
+  tools: ["kagi_research"],
+  argsSchema: {
+    topic: z.string().describe("Topic or question to research"),
+    depth: z.string().regex(/^(?:[1-9]|10)$/, "depth must be a whole number from 1 to 10")
+      .optional().describe("Number of sources to read, 1 to 10 (default: 5)"),
+  },
+  build: ({ topic, depth }) =>
+    `Research the following topic: ${topic}
+
+Call the \`${getToolName("kagi_research")}\` tool with \`question\` set to the topic${
+      depth ? ` and \`depth\` set to ${Number(depth)}` : ""
+    }. If the topic has distinct aspects, pass them as \`queries\` so each is searched.
+
+Present the report with its numbered citations and list of sources. Point out claims that rest on a single source, and say what the sources leave open.`,
+};
+
+/**
+ * Summarize several URLs with kagi_summarizer and compare them
+ */
+const compareUrlsPrompt = {
+  name: "compare_urls",
+  title: "Summarize and Compare URLs",
+  description: "Summarize several web pages and compare what they say.",
+  tools: ["kagi_summarizer"],
+  argsSchema: {
+    urls: z.string().describe("URLs to compare, one per line or comma-separated"),
+    focus: z.string().optional().describe("Aspect to compare them on"),
+  },
+  build: ({ urls, focus }) =>
+    `Call the \`${getToolName("kagi_summarizer")}\` tool once with \`urls\` set to ${
+      JSON.stringify(splitItems(urls))
+    } and \`summary_type\` set to "takeaway".
+
+Then compare the pages${focus ? ` with respect to: ${focus}` : ""}. Give a table with one column per page, followed by where they agree, where they differ and which is the most credible or current. Name any page that could not be summarized.`,
+};
+
+/**
+ * Check a claim against search results
+ */
+const factCheckPrompt = {
+  name: "fact_check",
+  title: "Fact-check a Claim",
+  description: "Check a claim against web sources and give a verdict with evidence.",
+  tools: ["kagi_search_fetch", "kagi_summarizer"],
+  argsSchema: {
+    claim: z.string().describe("Claim to check"),
+  },
+  build: ({ claim }) =>
+    `Fact-check this claim: "${claim}"
+
+1. Call the \`${getToolName("kagi_search_fetch")}\` tool with \`merge\` set to true and 2 or 3 \`queries\`: the claim itself, a neutral phrasing of the underlying question, and one looking for evidence against it.
+2. Call the \`${getToolName("kagi_summarizer")}\` tool with \`urls\` set to the most relevant and authoritative results, preferring primary sources.
+3. Give a verdict (true, mostly true, mixed, mostly false, false or unverifiable), then the evidence for and against, citing each source by its URL. Note when sources are outdated or disagree.`,
+};
+
+/**
+ * Continue a saved assistant conversation
+ */
+const continueConversationPrompt = {
+  name: "continue_conversation",
+  title: "Continue Assistant Conversation",
+  description: "Pick up a saved Kagi Assistant conversation where it left off.",
+  tools: ["kagi_assistant", "kagi_assistant_list_messages"],
+  argsSchema: {
+    conversation_id: completable(
+      z.string().describe("Conversation to continue"),
+      (value) => completeThreadId(value),
+    ),
+    prompt: z.string().optional().describe("Next message to send"),
+  },
+  build: ({ conversation_id, prompt }) =>
+    `Continue the Kagi Assistant conversation "${conversation_id}".
+
+1. Call the \`${getToolName("kagi_assistant_list_messages")}\` tool with \`conversation_id\` set to "${conversation_id}" to see what was discussed.
+2. Call the \`${getToolName("kagi_assistant")}\` tool with \`conversation_id\` set to "${conversation_id}" and \`new_conversation\` set to false, and ${
+      prompt
+        ? `this \`prompt\`: ${prompt}`
+        : "a `prompt` that follows up on the last reply; ask me first if it is unclear what to ask next"
+    }.`,
+};
+
+export const BUILTIN_PROMPTS = [
+  researchTopicPrompt,
+  compareUrlsPrompt,
+  factCheckPrompt,
+  continueConversationPrompt,
+];
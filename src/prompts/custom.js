@@ -0,0 +1,119 @@
+import { z } from "zod";
+import { getConfig, getToolConfig, getToolName } from "../utils/config.js";
+import { BUILTIN_PROMPTS } from "./builtin.js";
+
+/**
+ * Prompts from the config file
+ *
+ * Each entry under `prompts` either defines a prompt from a template, or, for
+ * a built-in prompt, changes its title or description or disables it. An
+ * entry with a template under a built-in name replaces the built-in prompt.
+ * In templates, {{name}} is replaced with the argument of that name (empty if
+ * not given) and {{tool:kagi_search_fetch}} with the name the tool is
+ * registered under.
+ */
+
+const PLACEHOLDER = /\{\{\s*(tool:)?([A-Za-z0-9_.-]+)\s*\}\}/g;
+
+/**
+ * Expand a prompt template
+ * @param {string} template - Template
+ * @param {Object<string, string>} args - Prompt arguments
+ * @returns {string} Expanded text
+ */
+function renderTemplate(template, args) {
+  return template.replace(PLACEHOLDER, (match, tool, name) =>
+    tool ? getToolName(name) : (args[name] ?? "").trim()
+  );
+}
+
+/**
+ * Create a prompt definition from a configured template
+ *
+ * @param {string} name - Prompt name
+ * @param {Object} settings - Prompt settings from the config
+ * @param {Set<string>} toolNames - Default names of the server's tools
+ * @returns {Object} Prompt definition
+ * @throws {Error} If the template uses an undeclared argument or an unknown tool
+ */
+function createCustomPrompt(name, settings, toolNames) {
+  const argumentNames = new Set(settings.arguments.map((arg) => arg.name));
+  const tools = [];
+
+  for (const [, tool, placeholder] of settings.template.matchAll(PLACEHOLDER)) {
+    if (tool && !toolNames.has(placeholder)) {
+      throw new Error(
+        `Invalid configuration: prompts.${name}.template: unknown tool "${placeholder}". Tools are named by their default names: ${
+          [...toolNames].join(", ")
+        }`,
+      );
+    }
+    if (!tool && !argumentNames.has(placeholder)) {
+      throw new Error(
+        `Invalid configuration: prompts.${name}.template: "{{${placeholder}}}" is not one of the prompt's arguments`,
+      );
+    }
+    if (tool) {
+      tools.push(placeholder);
+    }
+  }
+
+  const argsSchema = Object.fromEntries(settings.arguments.map((arg) => {
+    const schema = z.string().describe(arg.description || arg.name);
+    return [arg.name, arg.required ? schema : schema.optional()];
+  }));
+
+  return {
+    name,
+    title: settings.title,
+    description: settings.description,
+    tools,
+    argsSchema,
+    build: (args) => renderTemplate(settings.template, args),
+  };
+}
+
+/**
+ * Get the prompts to register: the built-in prompts with their configured
+ * changes, followed by the prompts defined in the config
+ * Prompts that are disabled, or that use a disabled tool, are left out.
+ *
+ * @param {Set<string>} toolNames - Default names of the server's tools
+ * @returns {Array<Object>} Prompt definitions
+ * @throws {Error} If a prompt setting is invalid
+ */
+export function getPrompts(toolNames) {
+  const configured = getConfig().prompts;
+  const builtinNames = new Set(BUILTIN_PROMPTS.map((prompt) => prompt.name));
+
+  for (const [name, settings] of Object.entries(configured)) {
+    if (!settings.template && !builtinNames.has(name)) {
+      throw new Error(
+        `Invalid configuration: prompts.${name}: a new prompt needs a template. Built-in prompts: ${
+          [...builtinNames].join(", ")
+        }`,
+      );
+    }
+    if (!settings.template && settings.arguments.length > 0) {
+      throw new Error(
+        `Invalid configuration: prompts.${name}.arguments: only prompts with a template declare arguments`,
+      );
+    }
+  }
+
+  const builtins = BUILTIN_PROMPTS
+    .filter((prompt) => !configured[prompt.name]?.template)
+    .map((prompt) => ({
+      ...prompt,
+      title: configured[prompt.name]?.title || prompt.title,
+      description: configured[prompt.name]?.description || prompt.description,
+    }));
+  const custom = Object.entries(configured)
+    .filter(([, settings]) => settings.template)
+    .map(([name, settings]) => createCustomPrompt(name, settings, toolNames));
+
+  return [...builtins, ...custom].filter((prompt) =>
+    configured[prompt.name]?.enabled !== false &&
+    prompt.tools.every((tool) => getToolConfig(tool).enabled)
+  );
+}
@@ -0,0 +1,74 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { getHistoryEntry, listHistory } from "../utils/history.js";
+
+/**
+ * List the kept results of a kind as resources
+ * @param {string} kind - Entry kind ("search" or "summary")
+ * @param {Object} [extra] - MCP request handler extra, whose session the results belong to
+ * @returns {{resources: Array<Object>}} Resources, newest first
+ */
+export function listHistoryResources(kind, extra) {
+  return {
+    resources: listHistory(kind, extra?.sessionId).map((entry) => ({
+      uri: entry.uri,
+      name: entry.title,
+      description: `Produced ${entry.createdAt}`,
+      mimeType: entry.mimeType,
+    })),
+  };
+}
+
+/**
+ * Read a kept result
+ * @param {string} kind - Entry kind ("search" or "summary")
+ * @param {URL} uri - Resource URI
+ * @param {Object} variables - URI template variables
+ * @param {string} variables.id - Entry id
+ * @param {Object} [extra] - MCP request handler extra, whose session the result belongs to
+ * @returns {{contents: Array<Object>}} Resource contents
+ * @throws {McpError} If the entry is unknown, was dropped or is another session's
+ */
+export function readHistoryResource(kind, uri, { id }, extra) {
+  const entry = getHistoryEntry(kind, id, extra?.sessionId);
+  if (!entry) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Resource ${uri.href} not found. Only the most recent results of this session are kept, and none survive a restart.`,
+    );
+  }
+  return {
+    contents: [{
+      uri: uri.href,
+      mimeType: entry.mimeType,
+      text: entry.text,
+    }],
+  };
+}
+
+/**
+ * Resource registration configuration for recent search result sets
+ */
+export const searchResourceConfig = {
+  name: "kagi_search_results",
+  uriTemplate: "kagi://search/{id}",
+  title: "Kagi Search Results",
+  description: `
+    A recent result set of kagi_search_fetch in this session, as the tool returned it. Lets a
+    past search be attached as context without searching again.
+    `.replace(/\s+/gs, " ").trim(),
+  mimeType: "text/plain",
+};
+
+/**
+ * Resource registration configuration for produced summaries
+ */
+export const summaryResourceConfig = {
+  name: "kagi_summary",
+  uriTemplate: "kagi://summary/{id}",
+  title: "Kagi Summary",
+  description: `
+    A recent summary produced by kagi_summarizer or kagi_research in this session. Lets a past
+    summary be attached as context without summarizing again.
+    `.replace(/\s+/gs, " ").trim(),
+  mimeType: "text/markdown",
+};
@@ -0,0 +1,117 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import {
+  getConversation,
+  getReply,
+  listConversations,
+} from "../utils/conversations.js";
+
+/**
+ * Find a conversation by its id or by the Kagi thread it continues
+ * @param {string} id - Conversation id or Kagi thread id
+ * @returns {Object|null} Conversation or null if unknown
+ */
+function findConversation(id) {
+  return getConversation(id) ||
+    listConversations().find((conversation) => conversation.threadId === id) ||
+    null;
+}
+
+/**
+ * Render a conversation as a Markdown transcript
+ * Replies are only known while the server that received them runs.
+ *
+ * @param {Object} conversation - Conversation from the registry
+ * @returns {string} Transcript
+ */
+function formatTranscript(conversation) {
+  const header = [
+    `# ${conversation.title}`,
+    "",
+    `- Conversation: ${conversation.id}`,
+    `- Kagi thread: ${conversation.threadId || "not started"}`,
+    `- Model: ${conversation.model}`,
+    ...(conversation.account ? [`- Account: ${conversation.account}`] : []),
+    `- Started: ${conversation.createdAt}`,
+    `- Last used: ${conversation.lastUsedAt}`,
+  ].join("\n");
+
+  const messages = (conversation.messages || []).map((message) =>
+    `## User (${message.createdAt}, ${message.model})
+
+${message.prompt}
+
+## Assistant
+
+${getReply(message.id) ?? "_Reply not kept, see the Kagi thread._"}`
+  );
+
+  return [
+    header,
+    ...(messages.length > 0 ? messages : ["_No recorded messages._"]),
+  ].join("\n\n");
+}
+
+/**
+ * List the saved conversations as resources
+ * @returns {{resources: Array<Object>}} Resources, most recently used first
+ */
+export function listThreadResources() {
+  return {
+    resources: listConversations().map((conversation) => ({
+      uri: `kagi://thread/${encodeURIComponent(conversation.id)}`,
+      name: conversation.title,
+      description: `Kagi Assistant conversation "${conversation.id}", ${
+        conversation.messages?.length || 0
+      } messages, last used ${conversation.lastUsedAt}`,
+      mimeType: "text/markdown",
+    })),
+  };
+}
+
+/**
+ * Read a conversation as a Markdown transcript
+ * @param {URL} uri - Resource URI
+ * @param {Object} variables - URI template variables
+ * @param {string} variables.id - Conversation id or Kagi thread id
+ * @returns {{contents: Array<Object>}} Resource contents
+ * @throws {McpError} If the conversation is unknown
+ */
+export function readThreadResource(uri, { id }) {
+  const conversation = findConversation(decodeURIComponent(id));
+  if (!conversation) {
+    throw new McpError(ErrorCode.InvalidParams, `Resource ${uri.href} not found`);
+  }
+  return {
+    contents: [{
+      uri: uri.href,
+      mimeType: "text/markdown",
+      text: formatTranscript(conversation),
+    }],
+  };
+}
+
+/**
+ * Complete conversation ids in resource URIs
+ * @param {string} value - Id typed so far
+ * @returns {Array<string>} Matching conversation ids
+ */
+export function completeThreadId(value) {
+  return listConversations()
+    .map((conversation) => conversation.id)
+    .filter((id) => id.startsWith(value));
+}
+
+/**
+ * Resource registration configuration for MCP server
+ */
+export const threadResourceConfig = {
+  name: "kagi_thread",
+  uriTemplate: "kagi://thread/{id}",
+  title: "Kagi Assistant Conversation",
+  description: `
+    Transcript of a saved Kagi Assistant conversation in Markdown: each prompt with the
+    assistant's reply and sources, for replies received since the server started. The id is the
+    conversation id or its Kagi thread id.
+    `.replace(/\s+/gs, " ").trim(),
+  mimeType: "text/markdown",
+};
@@ -0,0 +1,173 @@
+import { z } from "zod";
+import { accountInputSchema, buildCookieHeader } from "../utils/auth.js";
+import { getResultCache, normalizeQuery } from "../utils/cache.js";
+import { createCitationIndex, extractSources, formatSources } from "../utils/citations.js";
+import { getConfig } from "../utils/config.js";
+import { errorResult, KagiError } from "../utils/errors.js";
+import { getEnvironmentConfig } from "../utils/formatting.js";
+import { htmlToMarkdown } from "../utils/html.js";
+import { kagiFetch } from "../utils/http.js";
+import { kagiUrl } from "../utils/network.js";
+import { parseFrameJson, readKagiStream } from "../utils/stream.js";
+
+// Endpoint behind the answer Kagi shows for searches ending in "?"
+const QUICK_ANSWER_PATH = "/mother/context";
+
+/**
+ * Schema for quick answer tool input validation
+ */
+export const quickAnswerInputSchema = {
+  query: z.string().min(1).describe(
+    "A simple factual question, e.g. 'How tall is the Eiffel Tower?'",
+  ),
+  bypass_cache: z.boolean().default(false).describe(
+    "Skip a cached answer and always ask again. The fresh answer still refreshes the cache.",
+  ),
+  account: accountInputSchema,
+};
+
+/**
+ * Schema for quick answer tool structured output
+ */
+export const quickAnswerOutputSchema = {
+  query: z.string(),
+  answer: z.string().describe("Answer in Markdown, citing references as [n]"),
+  references: z.array(z.object({
+    number: z.number(),
+    title: z.string(),
+    url: z.string(),
+  })),
+  cached: z.boolean(),
+};
+
+/**
+ * Ask Kagi Quick Answer a question
+ *
+ * @param {string} query - Question
+ * @param {string} token - Kagi session token
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<{answer: string, references: Array<Object>}>} Answer in Markdown with its references
+ * @throws {KagiError} If the request fails or Kagi has no answer
+ */
+async function requestQuickAnswer(query, token, signal) {
+  const params = new URLSearchParams({ q: query });
+  const response = await kagiFetch(kagiUrl(`${QUICK_ANSWER_PATH}?${params}`), {
+    redirect: "manual",
+    headers: {
+      "accept": "application/vnd.kagi.stream",
+      "referer": `https://kagi.com/search?${params}`,
+      "cookie": buildCookieHeader({ token }),
+    },
+  }, {
+    signal,
+    timeoutMs: getConfig().timeouts.quick_answer_ms,
+    label: "Quick answer",
+  });
+
+  // Without a valid session, Kagi redirects to its login page
+  if (
+    (response.status >= 300 && response.status < 400) ||
+    response.status === 401 || response.status === 403
+  ) {
+    await response.body?.cancel();
+    throw new KagiError("auth_expired", "Invalid or expired session token");
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new KagiError("upstream_error", `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  let messageData = null;
+  for await (const frame of readKagiStream(response.body)) {
+    if (frame.name === "new_message.json") {
+      messageData = parseFrameJson(frame);
+    }
+  }
+  if (!messageData) {
+    throw new KagiError("upstream_changed", "Quick answer response not in expected format");
+  }
+
+  const references = extractSources(messageData);
+  const answer = messageData.reply
+    ? htmlToMarkdown(messageData.reply, { citations: createCitationIndex(references) })
+    : (messageData.md || "").trim();
+  if (!answer) {
+    throw new KagiError("upstream_error", `Kagi has no quick answer for "${query}"`, {
+      hint: "Phrase the query as a short factual question, or use kagi_search_fetch or kagi_assistant.",
+    });
+  }
+  return { answer, references };
+}
+
+/**
+ * Kagi quick answer tool implementation
+ * Returns the short answer Kagi shows above search results for questions,
+ * with its numbered references.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.query - Question
+ * @param {boolean} args.bypass_cache - Whether to skip a cached answer
+ * @param {string} [args.account] - Kagi account to ask with
+ * @param {Object} [extra] - MCP request handler extra, whose signal cancels the request
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiQuickAnswer({
+  query,
+  bypass_cache = false,
+  account,
+}, extra) {
+  try {
+    if (!query?.trim()) {
+      throw new KagiError("invalid_input", "Quick answer called with no query.");
+    }
+
+    const { token, account: accountName } = getEnvironmentConfig({ account });
+
+    // Answers depend on the account's settings, so accounts are cached apart
+    const cache = getResultCache();
+    const cacheKey = `answer:${accountName}:${normalizeQuery(query)}`;
+    const hit = bypass_cache ? null : cache.get(cacheKey);
+    const { answer, references } = hit?.value ??
+      await requestQuickAnswer(query.trim(), token, extra?.signal);
+    if (!hit) {
+      cache.set(cacheKey, { answer, references });
+    }
+
+    const sourcesSection = formatSources(references, "markdown");
+    return {
+      content: [
+        {
+          type: "text",
+          text: [
+            answer,
+            sourcesSection,
+            hit ? `(cached result from ${new Date(hit.storedAt).toISOString()})` : "",
+          ].filter(Boolean).join("\n\n"),
+        },
+      ],
+      structuredContent: {
+        query,
+        answer,
+        references: [...references].sort((a, b) => a.number - b.number),
+        cached: Boolean(hit),
+      },
+    };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Tool registration configuration for MCP server
+ */
+export const quickAnswerToolConfig = {
+  name: "kagi_quick_answer",
+  description: `
+    Get a short answer to a simple factual question from Kagi Quick Answer, the answer Kagi shows
+    for searches ending in "?". Returns a few sentences citing numbered references. Faster and
+    more concise than kagi_assistant and needs only the session token; use kagi_search_fetch for
+    broad topics and kagi_assistant or kagi_research for questions that need reasoning.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: quickAnswerInputSchema,
+  outputSchema: quickAnswerOutputSchema,
+};
@@ -1,371 +1,799 @@
-import { formatError, getEnvironmentConfig } from "../utils/formatting.js";
+import { errorResult, KagiError } from "../utils/errors.js";
+import { parseFrameJson, readKagiStream } from "../utils/stream.js";
+import { htmlToMarkdown, htmlToPlain } from "../utils/html.js";
+import {
+  createCitationIndex,
+  extractSources,
+  formatSources,
+} from "../utils/citations.js";
 import { z } from "zod";
 import { v4 as uuidv4 } from "uuid";
-
-// Thread ID storage for session management
-let threadId = null;
+import {
+  createConversation,
+  getConversation,
+  getCurrentConversationId,
+  touchConversation,
+} from "../utils/conversations.js";
+import { conversationIdSchema } from "./conversations.js";
+import { describePresets, getPreset } from "../utils/presets.js";
+import { getConfig } from "../utils/config.js";
+import { kagiFetch } from "../utils/http.js";
+import { kagiUrl } from "../utils/network.js";
+import {
+  accountInputSchema,
+  buildCookieHeader,
+  resolveCredentials,
+} from "../utils/auth.js";
+import {
+  checkImageSupport,
+  findImage,
+  loadAttachments,
+  MAX_ATTACHMENTS,
+} from "../utils/attachments.js";
+import {
+  getAvailableModels,
+  getDefaultModel,
+  getVisionModels,
+} from "../utils/models.js";
+
+// Branch of a thread that has not been branched
+const DEFAULT_BRANCH_ID = "00000000-0000-4000-0000-000000000000";
+
+// Shortest time between two progress notifications of a reply
+const PROGRESS_INTERVAL_MS = 250;
 
 /**
- * Get default model from environment or use first model in list
+ * Create the schema for assistant tool input validation
+ * The available models are only known once they have been discovered, so the
+ * schema is built when the tool is registered.
+ *
+ * @param {Array<string>} models - Available model names
+ * @param {Array<string>|null} visionModels - Models configured to accept images, or null
+ * @returns {Object} Input schema
  */
-function getDefaultModel() {
-  const defaultModel = process.env.KAGI_DEFAULT_MODEL;
-  if (defaultModel) {
-    return defaultModel;
-  }
-  // Use first model from the available models list
-  const availableModels = getAvailableModels();
-  return availableModels[0];
-}
+export function createAssistantInputSchema(models, visionModels) {
+  const presetDescriptions = describePresets();
 
-/**
- * Get available models from environment variable
- */
-function getAvailableModels() {
-  const modelList = process.env.KAGI_MODEL_LIST;
-  if (!modelList) {
-    throw new Error(
-      "KAGI_MODEL_LIST environment variable not set. Please provide a comma-separated list of available models (e.g., 'o3-pro,claude-4-sonnet,gemini-2-5-pro')"
-    );
-  }
-  return modelList.split(",").map(m => m.trim()).filter(m => m.length > 0);
+  return {
+    prompt: z.string().optional().describe(
+      "The message to send to the Kagi AI assistant. Required unless regenerate is set.",
+    ),
+    conversation_id: conversationIdSchema.optional().describe(
+      "Name of the conversation to use. Continues that conversation if it exists, otherwise starts it. If omitted, the current conversation is used.",
+    ),
+    new_conversation: z.boolean().optional().describe(
+      "Whether to start a new conversation. If false, continues the existing conversation thread. Defaults to true, unless conversation_id names an existing conversation.",
+    ),
+    regenerate: z.boolean().optional().describe(
+      "Regenerate the conversation's last reply, e.g. with a different model. Reuses the last prompt unless a new prompt is given.",
+    ),
+    edit_message_id: z.string().min(1).optional().describe(
+      "Id of an earlier message in the conversation to replace with prompt. The reply starts a new branch from that point; later messages are dropped from the conversation. Message ids are listed by kagi_assistant_list_messages.",
+    ),
+    model: z.string().optional().describe(
+      `AI model to use for the conversation. Defaults to the preset's model, or ${getDefaultModel(models)}. Available models: ${models.join(", ")}. Use kagi_list_models to see their capabilities.`,
+    ),
+    internet_access: z.boolean().optional().describe(
+      "Whether to allow the AI assistant to access the internet for current information. Defaults to the preset's setting, or true.",
+    ),
+    preset: z.string().min(1).optional().describe(
+      `Named preset bundling an assistant profile, lens and settings. Explicit arguments override the preset. ${
+        presetDescriptions
+          ? `Available presets: ${presetDescriptions}`
+          : "No presets are configured."
+      }`,
+    ),
+    profile_id: z.string().min(1).optional().describe(
+      "Id of a custom Kagi assistant to use instead of the default assistant.",
+    ),
+    lens_id: z.string().min(1).optional().describe(
+      "Id of a Kagi lens to restrict the assistant's web searches to.",
+    ),
+    personalizations: z.boolean().optional().describe(
+      "Whether to apply your Kagi personalizations to the assistant's web searches. Defaults to the preset's setting, or true.",
+    ),
+    attachments: z.array(z.object({
+      file_path: z.string().min(1).optional().describe(
+        "Path of a workspace file to attach (absolute, or relative to the first KAGI_FILE_ROOTS directory).",
+      ),
+      content: z.string().min(1).optional().describe(
+        "Base64 content to attach, optionally as a data: URL.",
+      ),
+      name: z.string().min(1).optional().describe(
+        "File name shown to the assistant. Defaults to the file's name.",
+      ),
+      mime_type: z.string().min(1).optional().describe(
+        "MIME type of the attachment. Inferred from the data: URL or file name if omitted.",
+      ),
+    })).max(MAX_ATTACHMENTS).optional().describe(
+      `Files to attach to the prompt, each given as file_path or base64 content. Supports PNG, JPEG, GIF and WebP images, PDFs and text files. ${
+        visionModels
+          ? `Images need a model that accepts them: ${visionModels.join(", ") || "none configured"}.`
+          : "Images need a vision-capable model; kagi_list_models shows which models accept them."
+      }`,
+    ),
+    format: z.enum(["html", "markdown", "plain"]).default("markdown").describe(
+      "Output format: 'html' preserves original formatting, 'markdown' converts to Markdown, 'plain' strips all formatting.",
+    ),
+    account: accountInputSchema.describe(
+      `${accountInputSchema.description} Saved conversations stay with the account they were started with.`,
+    ),
+  };
 }
 
 /**
- * Schema for assistant tool input validation
+ * Schema for assistant tool structured output
  */
-export const assistantInputSchema = {
-  prompt: z.string().describe("The message to send to the Kagi AI assistant."),
-  new_conversation: z.boolean().default(true).describe(
-    "Whether to start a new conversation. If false, continues the existing conversation thread.",
-  ),
-  model: z.string().default(getDefaultModel()).describe(
-    `AI model to use for the conversation. Available models: ${getAvailableModels().join(", ")}`,
-  ),
-  internet_access: z.boolean().default(true).describe(
-    "Whether to allow the AI assistant to access the internet for current information.",
-  ),
-  format: z.enum(["html", "markdown", "plain"]).default("markdown").describe(
-    "Output format: 'html' preserves original formatting, 'markdown' converts to Markdown, 'plain' strips all formatting.",
-  ),
+export const assistantOutputSchema = {
+  reply: z.string().describe("Assistant reply in the requested format"),
+  format: z.enum(["html", "markdown", "plain"]),
+  model: z.string(),
+  account: z.string().describe("Kagi account the conversation belongs to"),
+  preset: z.string().nullable().describe("Preset applied to the request"),
+  thread_id: z.string().nullable().describe("Kagi thread ID of the conversation"),
+  message_id: z.string().nullable().describe("Id of the new message, for edit_message_id or forking"),
+  branch_id: z.string().nullable().describe("Kagi branch the message is on"),
+  conversation_id: z.string().describe("Conversation to pass as conversation_id to continue"),
+  sources: z.array(z.object({
+    number: z.number().int().describe("Number used by the reply's citation markers"),
+    title: z.string(),
+    url: z.string(),
+  })).describe("Web sources cited by the reply"),
 };
 
 /**
- * Convert HTML to Markdown format
+ * Format assistant response based on requested format
+ * Citation links are numbered to match the sources list.
  */
-function htmlToMarkdown(html) {
-  return html
-    // Headers
-    .replace(/<h([1-6])>(.*?)<\/h[1-6]>/g, (_, level, text) => '#'.repeat(parseInt(level)) + ' ' + text + '\n\n')
-    // Bold and italic
-    .replace(/<strong>(.*?)<\/strong>/g, '**$1**')
-    .replace(/<em>(.*?)<\/em>/g, '*$1*')
-    // Code blocks
-    .replace(/<div class="codehilite">.*?<pre><span><\/span><code>(.*?)<\/code><\/pre><\/div>/gs, '```\n$1\n```\n')
-    // Inline code
-    .replace(/<code>(.*?)<\/code>/g, '`$1`')
-    // Lists
-    .replace(/<ol>/g, '').replace(/<\/ol>/g, '\n')
-    .replace(/<ul>/g, '').replace(/<\/ul>/g, '\n')
-    .replace(/<li>(.*?)<\/li>/g, '- $1\n')
-    // Paragraphs
-    .replace(/<p><\/p>/g, '')
-    .replace(/<p>(.*?)<\/p>/g, '$1\n\n')
-    // Line breaks
-    .replace(/<br\s*\/?>/g, '\n')
-    // Remove all remaining HTML tags and spans
-    .replace(/<[^>]+>/g, '')
-    // Decode HTML entities
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#x27;/g, "'")
-    .replace(/&amp;/g, '&')
-    // Clean up excessive whitespace
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
+function formatResponse(html, format, citations) {
+  switch (format) {
+    case 'html':
+      return html;
+    case 'markdown':
+      return htmlToMarkdown(html, { citations });
+    case 'plain':
+      return htmlToPlain(html, { citations });
+    default:
+      return htmlToMarkdown(html, { citations }); // Default to markdown
+  }
 }
 
 /**
- * Strip all HTML tags to plain text
+ * Format a reply with its sources in Markdown, as kept in the conversation
+ * @param {string} html - Reply HTML
+ * @param {Array<Object>} sources - Sources from extractSources
+ * @returns {string} Markdown reply
  */
-function htmlToPlain(html) {
-  return html
-    // Replace paragraphs and headers with line breaks
-    .replace(/<\/?(p|h[1-6]|div)>/g, '\n')
-    .replace(/<br\s*\/?>/g, '\n')
-    // Replace list items with dashes
-    .replace(/<li>(.*?)<\/li>/g, '- $1\n')
-    // Remove all HTML tags
-    .replace(/<[^>]+>/g, '')
-    // Clean up excessive whitespace
-    .replace(/\n{3,}/g, '\n\n')
-    .replace(/\s+/g, ' ')
-    .trim();
+function formatTranscriptReply(html, sources) {
+  const reply = formatResponse(html, "markdown", createCitationIndex(sources));
+  const sourcesSection = formatSources(sources, "markdown");
+  return sourcesSection ? `${reply}\n\n${sourcesSection}` : reply;
 }
 
 /**
- * Format assistant response based on requested format
+ * Read the assistant stream frame by frame as it arrives
+ *
+ * @param {AsyncIterable<Uint8Array>} body - Response body stream
+ * @param {Function} onPartial - Called with the reply HTML received so far
+ * @returns {Promise<Object>} Last thread and message data seen in the stream
  */
-function formatResponse(html, format) {
-  switch (format) {
-    case 'html':
-      return html;
-    case 'markdown':
-      return htmlToMarkdown(html);
-    case 'plain':
-      return htmlToPlain(html);
-    default:
-      return htmlToMarkdown(html); // Default to markdown
+async function readAssistantStream(body, onPartial) {
+  let threadData = null;
+  let messageData = null;
+  let partialReply = "";
+
+  for await (const frame of readKagiStream(body)) {
+    switch (frame.name) {
+      case "thread.json":
+        try {
+          threadData = parseFrameJson(frame);
+        } catch (error) {
+          console.warn("Failed to parse thread JSON:", error);
+        }
+        break;
+      case "tokens.json": {
+        let tokens;
+        try {
+          tokens = parseFrameJson(frame);
+        } catch (error) {
+          console.warn("Failed to parse tokens JSON:", error);
+          break;
+        }
+        if (typeof tokens.text === "string") {
+          // Token frames carry either the full reply so far or just the new part
+          partialReply = tokens.text.startsWith(partialReply)
+            ? tokens.text
+            : partialReply + tokens.text;
+          await onPartial(partialReply);
+        }
+        break;
+      }
+      case "new_message.json":
+        messageData = parseFrameJson(frame);
+        if (messageData.reply && messageData.state !== "done") {
+          partialReply = messageData.reply;
+          await onPartial(partialReply);
+        }
+        break;
+    }
   }
+
+  return { threadData, messageData };
 }
 
 /**
- * Extract JSON content from streaming response text
- * Based on Python implementation from kagi-cookie-mcp
+ * Create a reporter that sends partial replies as MCP progress notifications
+ * Does nothing unless the client supplied a progress token. Notifications are
+ * sent at most every PROGRESS_INTERVAL_MS and carry only the text received
+ * since the last one, so only that part of the reply is converted.
  *
- * @param {string} text - Source text containing streaming response
- * @param {string} marker - JSON marker to look for (e.g., 'thread.json:', 'new_message.json:')
- * @returns {string|null} Extracted JSON string, or null if not found
+ * @param {Object} [extra] - MCP request handler extra
+ * @returns {Function} Reporter taking the reply HTML received so far
  */
-function extractJson(text, marker) {
-  const markerPos = text.lastIndexOf(marker);
-  if (markerPos === -1) {
-    return null;
+function createProgressReporter(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined || !extra.sendNotification) {
+    return async () => {};
   }
 
-  // Only process text after the marker
-  const lastPart = text.substring(markerPos + marker.length).trim();
-  const start = lastPart.indexOf("{");
-  if (start === -1) {
-    return null;
+  let sentLength = 0;
+  let lastSentAt = 0;
+  let progress = 0;
+  return async (partialHtml) => {
+    if (Date.now() - lastSentAt < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    // The reply started over, e.g. with a full new_message.json frame
+    if (partialHtml.length < sentLength) {
+      sentLength = 0;
+    }
+
+    // Leave a tag that is still being received for the next notification
+    const openTag = partialHtml.lastIndexOf("<");
+    const end = openTag > partialHtml.lastIndexOf(">") ? openTag : partialHtml.length;
+    if (end <= sentLength) {
+      return;
+    }
+    const message = htmlToPlain(partialHtml.slice(sentLength, end));
+    sentLength = end;
+    if (!message) {
+      return;
+    }
+    lastSentAt = Date.now();
+
+    try {
+      await extra.sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress: ++progress, message },
+      });
+    } catch (error) {
+      console.warn("Failed to send progress notification:", error);
+    }
+  };
+}
+
+/**
+ * Resolve assistant settings from the arguments and the selected preset
+ * Explicit arguments take precedence over the preset, which takes precedence
+ * over the defaults.
+ *
+ * @param {Array<string>} availableModels - Available model names
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Resolved settings for buildRequestData
+ */
+function resolveProfile(availableModels, {
+  preset,
+  model,
+  internet_access,
+  profile_id,
+  lens_id,
+  personalizations,
+}) {
+  const settings = preset ? getPreset(preset) : {};
+  return {
+    model: model ?? settings.model ?? getDefaultModel(availableModels),
+    internetAccess: internet_access ?? settings.internet_access ?? true,
+    profileId: profile_id ?? settings.profile_id ?? null,
+    lensId: lens_id ?? settings.lens_id ?? null,
+    personalizations: personalizations ?? settings.personalizations ?? true,
+  };
+}
+
+/**
+ * Find the message a request replaces, if any
+ * Regenerating replaces the last message, editing replaces the given one, and
+ * the first prompt of a fork replaces the message after the fork point.
+ *
+ * @param {Object|null} conversation - Conversation being continued
+ * @param {Object} options - Tool arguments
+ * @param {boolean} [options.regenerate] - Whether to regenerate the last reply
+ * @param {string} [options.edit_message_id] - Message to edit
+ * @returns {{id: string, prompt?: string}|null} Message to replace, or null to add a message
+ * @throws {Error} If there is no message to regenerate or edit
+ */
+function findReplacedMessage(conversation, { regenerate, edit_message_id }) {
+  const messages = conversation?.messages || [];
+
+  if (regenerate) {
+    if (messages.length === 0) {
+      throw new KagiError(
+        "invalid_input",
+        "Nothing to regenerate: the conversation has no recorded messages.",
+      );
+    }
+    return messages[messages.length - 1];
   }
 
-  // Use bracket matching algorithm to extract complete JSON
-  let count = 0;
-  let inString = false;
-  let escape = false;
-  const jsonChars = [];
-
-  for (let i = start; i < lastPart.length; i++) {
-    const char = lastPart[i];
-    jsonChars.push(char);
-
-    if (!inString) {
-      if (char === "{") {
-        count += 1;
-      } else if (char === "}") {
-        count -= 1;
-        if (count === 0) {
-          return jsonChars.join("");
-        }
-      }
-    } else if (char === "\\" && !escape) {
-      escape = true;
-      continue;
-    } else if (char === '"' && !escape) {
-      inString = !inString;
+  if (edit_message_id) {
+    const message = messages.find((m) => m.id === edit_message_id);
+    if (!message) {
+      throw new KagiError(
+        "invalid_input",
+        `Unknown message "${edit_message_id}" in conversation "${conversation?.id}". Use kagi_assistant_list_messages to see its messages.`,
+      );
     }
-    escape = false;
+    return message;
   }
 
-  return null;
+  return conversation?.forkedAt ? { id: conversation.forkedAt } : null;
 }
 
 /**
  * Build request data for Kagi Assistant API
  *
  * @param {string} prompt - User message
- * @param {string} model - AI model to use
- * @param {boolean} internetAccess - Whether to enable internet access
+ * @param {Object} profile - Resolved assistant settings
+ * @param {string} profile.model - AI model to use
+ * @param {boolean} profile.internetAccess - Whether to enable internet access
+ * @param {string|null} profile.profileId - Custom assistant id, or null for the default
+ * @param {string|null} profile.lensId - Lens id, or null for no lens
+ * @param {boolean} profile.personalizations - Whether to apply personalizations
+ * @param {Object} position - Where the message goes in the thread
+ * @param {string|null} position.threadId - Kagi thread to continue, or null for a new one
+ * @param {string|null} position.branchId - Kagi branch to continue, or null for the main branch
+ * @param {string|null} position.replaceMessageId - Message to replace, or null to add a message
  * @returns {Object} Request data object
  */
-function buildRequestData(prompt, model, internetAccess) {
+function buildRequestData(prompt, profile, { threadId, branchId, replaceMessageId }) {
   const focus = {
     thread_id: threadId,
-    branch_id: "00000000-0000-4000-0000-000000000000",
+    branch_id: branchId || DEFAULT_BRANCH_ID,
     prompt: prompt,
   };
 
-  // If continuing a conversation, generate a message_id
-  if (threadId) {
+  // Sending an existing message_id replaces that message on a new branch;
+  // when continuing a conversation, a fresh message_id adds a message
+  if (replaceMessageId) {
+    focus.message_id = replaceMessageId;
+  } else if (threadId) {
     focus.message_id = uuidv4();
   }
 
   return {
     focus: focus,
     profile: {
-      id: null,
-      personalizations: true,
-      internet_access: internetAccess,
-      model: model,
-      lens_id: null,
+      id: profile.profileId,
+      personalizations: profile.personalizations,
+      internet_access: profile.internetAccess,
+      model: profile.model,
+      lens_id: profile.lensId,
     },
     threads: [{ tag_ids: [], saved: false, shared: false }],
   };
 }
 
+/**
+ * Build the request body, as multipart form data when there are attachments
+ *
+ * @param {Object} requestData - Request data from buildRequestData
+ * @param {Array<Object>} attachments - Attachments from loadAttachments
+ * @returns {string|FormData} Request body
+ */
+function buildRequestBody(requestData, attachments) {
+  if (attachments.length === 0) {
+    return JSON.stringify(requestData);
+  }
+
+  const form = new FormData();
+  form.append("state", JSON.stringify(requestData));
+  for (const attachment of attachments) {
+    form.append(
+      "file",
+      new Blob([attachment.data], { type: attachment.mimeType }),
+      attachment.name,
+    );
+  }
+  return form;
+}
+
+/**
+ * Send a prompt to Kagi Assistant and read the reply stream
+ *
+ * @param {Object} requestData - Request data from buildRequestData
+ * @param {Object} options - Options
+ * @param {Object} options.credentials - Credentials from resolveCredentials, with the search cookie
+ * @param {Array<Object>} [options.files] - Attachments from loadAttachments
+ * @param {string} [options.replaceMessageId] - Message the prompt replaces
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Function} [options.onPartial] - Called with the reply HTML received so far
+ * @returns {Promise<Object>} Last thread and message data seen in the stream
+ * @throws {KagiError} If Kagi rejects the request
+ */
+async function sendAssistantPrompt(requestData, {
+  credentials,
+  files = [],
+  replaceMessageId,
+  signal,
+  onPartial = async () => {},
+}) {
+  // Build headers (based on your original curl request)
+  const headers = {
+    "accept": "application/vnd.kagi.stream",
+    "accept-language": "zh-CN,zh;q=0.9,en-US;q=0.8,en;q=0.7",
+    "origin": "https://kagi.com",
+    "priority": "u=1, i",
+    "referer": "https://kagi.com/assistant",
+    "rtt": "300",
+    "sec-ch-ua": "\"Chromium\";v=\"140\", \"Not=A?Brand\";v=\"24\", \"Google Chrome\";v=\"140\"",
+    "sec-ch-ua-mobile": "?0",
+    "sec-ch-ua-platform": "\"Windows\"",
+    "sec-fetch-dest": "empty",
+    "sec-fetch-mode": "cors",
+    "sec-fetch-site": "same-origin",
+    "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36",
+    "cookie": buildCookieHeader(credentials),
+  };
+
+  // Attachments are uploaded as multipart form data, which sets its own content type
+  const body = buildRequestBody(requestData, files);
+  if (typeof body === "string") {
+    headers["content-type"] = "application/json";
+  }
+
+  // Make request to Kagi Assistant API
+  const { assistant_ms } = getConfig().timeouts;
+  // A prompt Kagi may have received is not sent again
+  const response = await kagiFetch(kagiUrl("/assistant/prompt"), {
+    method: "POST",
+    headers: headers,
+    body,
+  }, {
+    signal,
+    timeoutMs: assistant_ms,
+    label: "Assistant",
+    idempotent: false,
+    // Fresh message ids are random, so they are left out of the fixture key
+    fixture: {
+      ...requestData,
+      focus: { ...requestData.focus, message_id: replaceMessageId || null },
+      attachments: files.map(({ name, mimeType, data }) => ({
+        name,
+        mimeType,
+        size: data.length,
+      })),
+    },
+  });
+
+  if (!response.ok) {
+    if (response.status === 401 || response.status === 403) {
+      throw new KagiError("auth_expired", "Invalid or expired session token");
+    }
+    if (response.status === 413) {
+      throw new KagiError("invalid_input", "Attachments are too large for Kagi Assistant");
+    }
+    throw new KagiError("upstream_error", `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  // Parse streaming response as it arrives
+  return await readAssistantStream(response.body, onPartial);
+}
+
+/**
+ * Ask Kagi Assistant a one-off question in a new thread
+ * For tools that build on the assistant; the thread is not saved as a
+ * conversation.
+ *
+ * @param {string} prompt - Question
+ * @param {Object} options - Options
+ * @param {Object} options.credentials - Credentials from resolveCredentials, with the search cookie
+ * @param {string} options.model - AI model to use
+ * @param {boolean} [options.internetAccess] - Whether the assistant may search the web (default: false)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<{reply: string, sources: Array<Object>}>} Reply in Markdown, with the web sources it cites
+ * @throws {KagiError} If the request fails or the reply is incomplete
+ */
+export async function askAssistant(prompt, {
+  credentials,
+  model,
+  internetAccess = false,
+  signal,
+}) {
+  const requestData = buildRequestData(prompt, {
+    model,
+    internetAccess,
+    profileId: null,
+    lensId: null,
+    personalizations: false,
+  }, { threadId: null, branchId: null, replaceMessageId: null });
+
+  const { messageData } = await sendAssistantPrompt(requestData, {
+    credentials,
+    signal,
+  });
+  if (messageData?.state !== "done" || !messageData.reply) {
+    throw new KagiError("upstream_changed", "Assistant response not in expected format");
+  }
+
+  const sources = extractSources(messageData);
+  return {
+    reply: formatResponse(messageData.reply, "markdown", createCitationIndex(sources)),
+    sources,
+  };
+}
+
 /**
  * Kagi Assistant tool implementation
  * Provides AI conversation capabilities using Kagi's assistant API
  *
  * @param {Object} args - Tool arguments
- * @param {string} args.prompt - User message
- * @param {boolean} args.new_conversation - Whether to start new conversation
- * @param {string} args.model - AI model to use
- * @param {boolean} args.internet_access - Whether to enable internet access
+ * @param {string} [args.prompt] - User message
+ * @param {string} [args.conversation_id] - Conversation to use
+ * @param {boolean} [args.new_conversation] - Whether to start new conversation
+ * @param {boolean} [args.regenerate] - Whether to regenerate the last reply
+ * @param {string} [args.edit_message_id] - Earlier message to replace with the prompt
+ * @param {string} [args.model] - AI model to use
+ * @param {boolean} [args.internet_access] - Whether to enable internet access
+ * @param {string} [args.preset] - Named preset to apply
+ * @param {string} [args.profile_id] - Custom assistant id
+ * @param {string} [args.lens_id] - Lens id
+ * @param {boolean} [args.personalizations] - Whether to apply personalizations
+ * @param {Array<Object>} [args.attachments] - Files to attach to the prompt
+ * @param {string} [args.account] - Kagi account to use
+ * @param {Object} [extra] - MCP request handler extra, used for progress notifications and cancellation
  * @returns {Promise<Object>} MCP tool response
  */
 export async function kagiAssistant({
   prompt,
-  new_conversation = true,
-  model = getDefaultModel(),
-  internet_access = true,
+  conversation_id,
+  new_conversation,
+  regenerate = false,
+  edit_message_id,
+  model,
+  internet_access,
+  preset,
+  profile_id,
+  lens_id,
+  personalizations,
+  attachments = [],
   format = "markdown",
-}) {
+  account,
+}, extra) {
   try {
-    if (!prompt) {
-      throw new Error("Assistant called with no prompt.");
+    if (regenerate && edit_message_id) {
+      throw new KagiError("invalid_input", "Use either regenerate or edit_message_id, not both.");
+    }
+    if (!prompt && !regenerate) {
+      throw new KagiError("invalid_input", "Assistant called with no prompt.");
     }
 
-    const { token } = getEnvironmentConfig();
-    const kagiSearchCookie = process.env.KAGI_SEARCH_COOKIE;
-    const availableModels = getAvailableModels();
-
-    if (!token) {
-      throw new Error(
-        "KAGI_SESSION_TOKEN environment variable not set. Please set it before running.",
+    // Resolve the conversation to continue, if any
+    const conversationId = conversation_id || getCurrentConversationId();
+    const conversation = conversationId ? getConversation(conversationId) : null;
+    const rewrite = regenerate || Boolean(edit_message_id);
+    const startNew = new_conversation ??
+      (rewrite ? false : !(conversation_id && conversation));
+
+    if (rewrite && startNew) {
+      throw new KagiError(
+        "invalid_input",
+        "regenerate and edit_message_id apply to an existing conversation and cannot be combined with new_conversation.",
+      );
+    }
+    if (rewrite && !conversation) {
+      throw new KagiError(
+        "invalid_input",
+        conversation_id
+          ? `Unknown conversation "${conversation_id}".`
+          : "No current conversation to regenerate or edit.",
+      );
+    }
+    if (!startNew && conversation_id && !conversation) {
+      throw new KagiError(
+        "invalid_input",
+        `Unknown conversation "${conversation_id}". Use kagi_assistant_list_conversations to see available conversations.`,
       );
     }
 
-    if (!kagiSearchCookie) {
-      throw new Error(
-        "KAGI_SEARCH_COOKIE environment variable not set. Please set it to your _kagi_search_ cookie value.",
+    // Saved conversations continue on the account they were started with
+    const credentials = resolveCredentials(
+      account ?? (startNew ? undefined : conversation?.account),
+      { searchCookie: true },
+    );
+    if (!startNew && conversation?.account &&
+      conversation.account !== credentials.account) {
+      throw new KagiError(
+        "invalid_input",
+        `Conversation "${conversation.id}" belongs to account "${conversation.account}", not "${credentials.account}".`,
       );
     }
 
+    const availableModels = await getAvailableModels(credentials.account);
+    const profile = resolveProfile(availableModels, {
+      preset,
+      model,
+      internet_access,
+      profile_id,
+      lens_id,
+      personalizations,
+    });
+
     // Validate model
-    if (!availableModels.includes(model)) {
-      throw new Error(
-        `Invalid model "${model}". Available models: ${availableModels.join(", ")}`,
+    if (!availableModels.includes(profile.model)) {
+      throw new KagiError(
+        "invalid_input",
+        `Invalid model "${profile.model}". Available models: ${availableModels.join(", ")}`,
       );
     }
 
-    // Reset thread_id if starting new conversation
-    if (new_conversation) {
-      threadId = null;
+    // Validate attachments before anything is sent
+    const files = await loadAttachments(attachments);
+    if (findImage(files)) {
+      checkImageSupport(files, profile.model, await getVisionModels(credentials.account));
     }
 
-    // Build request data
-    const requestData = buildRequestData(prompt, model, internet_access);
-
-    // Build headers (based on your original curl request)
-    const headers = {
-      "accept": "application/vnd.kagi.stream",
-      "accept-language": "zh-CN,zh;q=0.9,en-US;q=0.8,en;q=0.7",
-      "content-type": "application/json",
-      "origin": "https://kagi.com",
-      "priority": "u=1, i",
-      "referer": "https://kagi.com/assistant",
-      "rtt": "300",
-      "sec-ch-ua": "\"Chromium\";v=\"140\", \"Not=A?Brand\";v=\"24\", \"Google Chrome\";v=\"140\"",
-      "sec-ch-ua-mobile": "?0",
-      "sec-ch-ua-platform": "\"Windows\"",
-      "sec-fetch-dest": "empty",
-      "sec-fetch-mode": "cors",
-      "sec-fetch-site": "same-origin",
-      "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36",
-      "cookie": `kagi_session=${token}; _kagi_search_=${kagiSearchCookie}`,
-    };
-
-    // Debug: Uncomment to see request details
-    // console.log("Request Data:", JSON.stringify(requestData, null, 2));
+    let threadId = null;
+    let branchId = null;
+    let replaced = null;
+    if (!startNew && conversation) {
+      threadId = conversation.threadId;
+      branchId = conversation.branchId;
+      replaced = findReplacedMessage(conversation, { regenerate, edit_message_id });
+    }
+    const messagePrompt = prompt || replaced?.prompt;
+    if (!messagePrompt) {
+      throw new KagiError(
+        "invalid_input",
+        "The prompt of the message to regenerate is not known. Pass it as prompt.",
+      );
+    }
 
-    // Make request to Kagi Assistant API
-    const response = await fetch("https://kagi.com/assistant/prompt", {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify(requestData),
+    // Build request data
+    const requestData = buildRequestData(messagePrompt, profile, {
+      threadId,
+      branchId,
+      replaceMessageId: replaced?.id || null,
     });
 
-    if (!response.ok) {
-      if (response.status === 401 || response.status === 403) {
-        throw new Error("Invalid or expired session token");
-      }
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    // Parse streaming response
-    const responseText = await response.text();
+    const { threadData, messageData } = await sendAssistantPrompt(requestData, {
+      credentials,
+      files,
+      replaceMessageId: replaced?.id,
+      signal: extra?.signal,
+      onPartial: createProgressReporter(extra),
+    });
 
     // Extract thread_id for subsequent requests
-    const threadJson = extractJson(responseText, "thread.json:");
-    if (threadJson) {
-      try {
-        const threadData = JSON.parse(threadJson);
-        if (threadData.id) {
-          threadId = threadData.id;
-        }
-      } catch (error) {
-        console.warn("Failed to parse thread JSON:", error);
-      }
+    if (threadData?.id) {
+      threadId = threadData.id;
     }
 
     // Extract assistant reply
-    const messageJson = extractJson(responseText, "new_message.json:");
-    if (!messageJson) {
-      throw new Error("Failed to parse assistant response");
+    if (!messageData) {
+      throw new KagiError("upstream_changed", "Failed to parse assistant response");
     }
-
-    let messageData;
-    try {
-      messageData = JSON.parse(messageJson);
-    } catch (error) {
-      throw new Error("Failed to parse message JSON response");
+    // Nothing is recorded for a failed or incomplete reply, so a failed edit
+    // or regenerate leaves the conversation as it was
+    if (messageData.state !== "done" || !messageData.reply) {
+      throw new KagiError("upstream_changed", "Assistant response not in expected format");
     }
 
-    if (messageData.state === "done" && messageData.reply) {
-      const formattedReply = formatResponse(messageData.reply, format);
-      return {
-        content: [
-          {
-            type: "text",
-            text: formattedReply,
-          },
-        ],
-      };
-    }
+    // Track the message and its branch so it can be edited or forked later
+    branchId = messageData.branch_id || threadData?.branch_id || branchId;
+    const messageId = messageData.id || requestData.focus.message_id || null;
+    const sources = extractSources(messageData);
+    const message = messageId
+      ? {
+        id: messageId,
+        prompt: messagePrompt,
+        model: profile.model,
+        // Held in memory, in Markdown, for the conversation's transcript
+        // resource; the registry only keeps the prompt
+        reply: formatTranscriptReply(messageData.reply, sources),
+      }
+      : undefined;
+
+    // Remember the thread so the conversation can be continued later
+    const savedConversation = startNew || !conversation
+      ? createConversation({
+        id: conversation_id,
+        threadId,
+        branchId,
+        model: profile.model,
+        account: credentials.account,
+        prompt: messagePrompt,
+        message,
+      })
+      : touchConversation(conversation.id, {
+        threadId,
+        branchId,
+        model: profile.model,
+        message,
+        replaceMessageId: replaced?.id,
+      });
+
+    const formattedReply = formatResponse(
+      messageData.reply,
+      format,
+      createCitationIndex(sources),
+    );
+    const sourcesSection = formatSources(sources, format);
 
-    throw new Error("Assistant response not in expected format");
-  } catch (error) {
     return {
       content: [
         {
           type: "text",
-          text: formatError(error),
+          text: sourcesSection
+            ? `${formattedReply}\n\n${sourcesSection}`
+            : formattedReply,
         },
+        ...sources.map((source) => ({
+          type: "resource_link",
+          uri: source.url,
+          name: source.title,
+          description: `Source [${source.number}]`,
+        })),
       ],
+      structuredContent: {
+        reply: formattedReply,
+        format,
+        model: profile.model,
+        account: credentials.account,
+        preset: preset ?? null,
+        thread_id: threadId,
+        message_id: messageId,
+        branch_id: branchId || null,
+        conversation_id: savedConversation?.id || conversationId,
+        sources,
+      },
     };
+  } catch (error) {
+    return errorResult(error);
   }
 }
 
 /**
- * Tool registration configuration for MCP server
+ * Create the tool registration configuration for MCP server
+ *
+ * @param {Array<string>} models - Available model names
+ * @param {Array<string>|null} visionModels - Models configured to accept images, or null
+ * @returns {Object} Tool configuration
  */
-export const assistantToolConfig = {
-  name: "kagi_assistant",
-  description: `
-    Interact with Kagi AI Assistant for conversations and questions. Supports multiple AI models
-    and can maintain conversation context across multiple exchanges.
-    Provides access to current information through internet connectivity.
-
-    Required environment variables:
-    - KAGI_SESSION_TOKEN: Your Kagi session token
-    - KAGI_SEARCH_COOKIE: Your _kagi_search_ cookie value
-    - KAGI_MODEL_LIST: Comma-separated list of available models (e.g., "o3-pro,claude-4-sonnet,gemini-2-5-pro")
-
-    Optional environment variables:
-    - KAGI_DEFAULT_MODEL: Default model to use (default: first model in KAGI_MODEL_LIST)
-    `.replace(/\s+/gs, " ").trim(),
-  inputSchema: assistantInputSchema,
-};
\ No newline at end of file
+export function createAssistantToolConfig(models, visionModels) {
+  return {
+    name: "kagi_assistant",
+    description: `
+      Interact with Kagi AI Assistant for conversations and questions. Supports multiple AI models
+      and can maintain conversation context across multiple exchanges. Pass a conversation_id to keep
+      several named conversations apart; conversations are saved to disk and survive restarts.
+      Provides access to current information through internet connectivity. Images, PDFs and text
+      files can be attached to the prompt. Set regenerate to redo the last reply (e.g. with another
+      model) or edit_message_id to rewrite an earlier prompt.
+
+      Required credentials (environment variables, the files ~/.kagi_session_token and
+      ~/.kagi_search_cookie, or a named account selected with account):
+      - KAGI_SESSION_TOKEN: Your Kagi session token
+      - KAGI_SEARCH_COOKIE: Your _kagi_search_ cookie value
+
+      Optional environment variables:
+      - KAGI_MODEL_LIST: Comma-separated list of models to offer instead of the models discovered from your account (e.g., "o3-pro,claude-4-sonnet,gemini-2-5-pro")
+      - KAGI_DEFAULT_MODEL: Default model to use (default: first available model)
+      - KAGI_CONVERSATIONS_FILE: Conversation registry file (default: ~/.kagi_mcp_conversations.json)
+      - KAGI_ASSISTANT_PRESETS: JSON object of named presets (profile_id, lens_id, personalizations, model, internet_access)
+      - KAGI_ASSISTANT_PRESETS_FILE: JSON file of named presets
+      - KAGI_VISION_MODELS: Comma-separated list of models that accept image attachments (default: as reported by Kagi)
+      - KAGI_FILE_ROOTS: Directories attachments may be read from (default: current directory; required over HTTP)
+      `.replace(/\s+/gs, " ").trim(),
+    inputSchema: createAssistantInputSchema(models, visionModels),
+    outputSchema: assistantOutputSchema,
+  };
+}
@@ -0,0 +1,236 @@
+import { errorResult } from "../utils/errors.js";
+import {
+  buildCookieHeader,
+  findCredential,
+  listAccounts,
+  redactSecrets,
+  resolveAccountName,
+} from "../utils/auth.js";
+import { getConfig } from "../utils/config.js";
+import { kagiFetch } from "../utils/http.js";
+import { kagiUrl } from "../utils/network.js";
+import { z } from "zod";
+
+const SESSION_CHECK_PATH = "/settings/user_details";
+// The profile list model discovery reads; like discovery, it is unverified
+// against recorded traffic, so any answer but a rejection leaves the search
+// cookie unchecked instead of in error
+const SEARCH_COOKIE_CHECK_PATH = "/assistant/profile_list";
+
+/**
+ * Schema for auth status tool input validation
+ */
+export const authStatusInputSchema = {
+  account: z.string().min(1).optional().describe(
+    "Only check this account (default: every configured account).",
+  ),
+};
+
+const credentialStatusSchema = z.object({
+  source: z.string().nullable().describe(
+    "Where the credential was found (the value itself is never shown)",
+  ),
+  status: z.enum(["valid", "invalid", "missing", "unchecked", "error"]),
+  detail: z.string().nullable(),
+});
+
+/**
+ * Schema for auth status tool structured output
+ */
+export const authStatusOutputSchema = {
+  accounts: z.array(z.object({
+    account: z.string(),
+    default: z.boolean().describe("Whether tools use this account when none is given"),
+    session_token: credentialStatusSchema,
+    search_cookie: credentialStatusSchema,
+    features: z.object({
+      search: z.boolean(),
+      summarizer: z.boolean(),
+      assistant: z.boolean(),
+    }).describe("Features the account's credentials allow"),
+  })),
+};
+
+/**
+ * Ask Kagi whether it accepts a credential
+ * Kagi answers requests without a valid session with a redirect to its login
+ * page or with 401/403.
+ *
+ * @param {string} url - Page that needs the credential
+ * @param {Object} init - Fetch options
+ * @param {AbortSignal} [signal] - Cancels the check
+ * @returns {Promise<{status: string, detail: string|null}>} Check result
+ */
+async function checkCredential(url, init, signal) {
+  let response;
+  try {
+    response = await kagiFetch(url, { ...init, redirect: "manual" }, {
+      signal,
+      timeoutMs: getConfig().timeouts.auth_check_ms,
+      label: "Credential check",
+    });
+  } catch (error) {
+    signal?.throwIfAborted();
+    return {
+      status: "error",
+      detail: error.name === "TimeoutError"
+        ? "Kagi did not answer in time"
+        : redactSecrets(error.message),
+    };
+  }
+  await response.body?.cancel();
+
+  if (response.ok) {
+    return { status: "valid", detail: null };
+  }
+  if (
+    (response.status >= 300 && response.status < 400) ||
+    response.status === 401 || response.status === 403
+  ) {
+    return { status: "invalid", detail: "Rejected by Kagi, it may have expired" };
+  }
+  return { status: "error", detail: `HTTP ${response.status}: ${response.statusText}` };
+}
+
+/**
+ * Check the credentials of one account
+ * @param {string} account - Account name
+ * @param {string} defaultAccount - Account used when none is given
+ * @param {AbortSignal} [signal] - Cancels the checks
+ * @returns {Promise<Object>} Account status
+ */
+async function checkAccount(account, defaultAccount, signal) {
+  const token = findCredential(account, "token");
+  const cookie = findCredential(account, "searchCookie");
+
+  const describe = (credential) => ({
+    source: credential.source,
+    status: credential.error ? "error" : "missing",
+    detail: credential.error,
+  });
+  const tokenStatus = describe(token);
+  const cookieStatus = describe(cookie);
+
+  if (token.value) {
+    Object.assign(
+      tokenStatus,
+      await checkCredential(kagiUrl(SESSION_CHECK_PATH), {
+        headers: { "cookie": buildCookieHeader({ token: token.value }) },
+      }, signal),
+    );
+  }
+
+  // The search cookie only works together with a valid session token
+  if (cookie.value && tokenStatus.status !== "valid") {
+    Object.assign(cookieStatus, {
+      status: "unchecked",
+      detail: "Needs a valid session token to be checked",
+    });
+  } else if (cookie.value) {
+    const check = await checkCredential(kagiUrl(SEARCH_COOKIE_CHECK_PATH), {
+      method: "POST",
+      headers: {
+        "accept": "application/vnd.kagi.stream",
+        "content-type": "application/json",
+        "origin": "https://kagi.com",
+        "referer": "https://kagi.com/assistant",
+        "cookie": buildCookieHeader({
+          token: token.value,
+          searchCookie: cookie.value,
+        }),
+      },
+      body: "{}",
+    }, signal);
+    Object.assign(
+      cookieStatus,
+      check.status === "error"
+        ? { status: "unchecked", detail: `Could not be checked: ${check.detail}` }
+        : check,
+    );
+  }
+
+  const tokenValid = tokenStatus.status === "valid";
+  return {
+    account,
+    default: account === defaultAccount,
+    session_token: tokenStatus,
+    search_cookie: cookieStatus,
+    features: {
+      search: tokenValid,
+      summarizer: tokenValid,
+      assistant: tokenValid && ["valid", "unchecked"].includes(cookieStatus.status),
+    },
+  };
+}
+
+/**
+ * Format the status of a credential for display
+ * @param {string} label - Credential name
+ * @param {Object} status - Credential status
+ * @returns {string} Formatted status
+ */
+function formatCredential(label, { source, status, detail }) {
+  const details = [source, detail].filter(Boolean).join("; ");
+  return `- ${label}: ${status}${details ? ` (${details})` : ""}`;
+}
+
+/**
+ * Format the status of an account for display
+ * @param {Object} status - Account status
+ * @returns {string} Formatted status
+ */
+function formatAccount(status) {
+  const usable = Object.entries(status.features)
+    .filter(([, enabled]) => enabled)
+    .map(([feature]) => feature);
+  return [
+    `Account ${status.account}${status.default ? " (default)" : ""}:`,
+    formatCredential("Session token", status.session_token),
+    formatCredential("Search cookie", status.search_cookie),
+    `- Usable: ${usable.join(", ") || "nothing"}`,
+  ].join("\n");
+}
+
+/**
+ * Check the Kagi credentials of the configured accounts
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.account] - Only check this account
+ * @param {Object} [extra] - MCP request handler extra, whose signal cancels the checks
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiAuthStatus({ account } = {}, extra) {
+  try {
+    const defaultAccount = resolveAccountName();
+    const accounts = account ? [resolveAccountName(account)] : listAccounts();
+    const statuses = await Promise.all(
+      accounts.map((name) => checkAccount(name, defaultAccount, extra?.signal)),
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: statuses.map(formatAccount).join("\n\n"),
+        },
+      ],
+      structuredContent: { accounts: statuses },
+    };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Tool registration configuration for MCP server
+ */
+export const authStatusToolConfig = {
+  name: "kagi_auth_status",
+  description: `
+    Check the Kagi credentials of each configured account against Kagi: where the session token
+    and _kagi_search_ cookie were found, whether Kagi accepts them, and which features (search,
+    summarizer, assistant) they allow. Credential values are never shown.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: authStatusInputSchema,
+  outputSchema: authStatusOutputSchema,
+};
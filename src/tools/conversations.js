@@ -0,0 +1,434 @@
+import { DEFAULT_ACCOUNT } from "../utils/auth.js";
+import { errorResult, KagiError } from "../utils/errors.js";
+import {
+  CONVERSATION_ID_PATTERN,
+  deleteConversation,
+  forkConversation,
+  getConversation,
+  getCurrentConversationId,
+  listConversations,
+  renameConversation,
+  setCurrentConversation,
+} from "../utils/conversations.js";
+import { z } from "zod";
+
+/**
+ * Format a conversation for display
+ * @param {Object} conversation - Conversation from the registry
+ * @returns {string} Formatted conversation
+ */
+function formatConversation(conversation) {
+  const current = conversation.isCurrent ? " (current)" : "";
+  const account = conversation.account ? `\nAccount: ${conversation.account}` : "";
+  return `${conversation.id}${current}: ${conversation.title}
+Model: ${conversation.model}${account}
+Thread ID: ${conversation.threadId || "Not Available"}
+Messages: ${conversation.messages?.length || 0}
+Created: ${conversation.createdAt}
+Last Used: ${conversation.lastUsedAt}`;
+}
+
+/**
+ * Summarize a conversation for listing
+ * @param {Object} conversation - Conversation from the registry
+ * @returns {Object} Conversation summary
+ */
+function summarizeConversation(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    model: conversation.model,
+    account: conversation.account || DEFAULT_ACCOUNT,
+    updated_at: conversation.lastUsedAt,
+    message_count: conversation.messages?.length || 0,
+    current: conversation.isCurrent,
+  };
+}
+
+/**
+ * Format a conversation summary for display
+ * @param {Object} summary - Conversation summary
+ * @returns {string} Formatted summary
+ */
+function formatSummary(summary) {
+  const current = summary.current ? " (current)" : "";
+  return `${summary.id}${current}: ${summary.title}
+Model: ${summary.model}, account: ${summary.account}
+Messages: ${summary.message_count}, last used: ${summary.updated_at}`;
+}
+
+/**
+ * Format a message for display
+ * @param {Object} message - Message from the registry
+ * @param {number} index - Position in the conversation
+ * @returns {string} Formatted message
+ */
+function formatMessage(message, index) {
+  const prompt = message.prompt.replace(/\s+/g, " ").trim();
+  return `${index + 1}. ${message.id} (${message.model}, ${message.createdAt})
+   ${prompt.length > 200 ? `${prompt.slice(0, 197)}...` : prompt}`;
+}
+
+/**
+ * Wrap a result in an MCP tool response
+ * @param {string} text - Response text
+ * @param {Object} structuredContent - Structured result
+ * @returns {Object} MCP tool response
+ */
+function toolResponse(text, structuredContent) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: text,
+      },
+    ],
+    structuredContent,
+  };
+}
+
+/**
+ * Schema shared by the tools that act on a single conversation
+ */
+export const conversationIdSchema = z.string().regex(
+  CONVERSATION_ID_PATTERN,
+  "Conversation ids may only contain letters, digits, '_', '-' and '.' (at most 128)",
+).describe(
+  "Name of the conversation, as passed to kagi_assistant or shown by kagi_assistant_list_conversations.",
+);
+
+/**
+ * Schema of a message in structured output
+ */
+const messageSchema = z.object({
+  id: z.string(),
+  prompt: z.string(),
+  model: z.string(),
+  createdAt: z.string(),
+});
+
+/**
+ * Schema of a conversation in structured output
+ */
+const conversationSchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  model: z.string(),
+  account: z.string().optional().describe("Kagi account the conversation belongs to"),
+  threadId: z.string().nullable(),
+  branchId: z.string().nullable().optional(),
+  messages: z.array(messageSchema).optional(),
+  forkedAt: z.string().optional().describe(
+    "Message the fork's next prompt replaces",
+  ),
+  createdAt: z.string(),
+  lastUsedAt: z.string(),
+  isCurrent: z.boolean().optional(),
+});
+
+/**
+ * Schema of a conversation summary in structured output
+ */
+const conversationSummarySchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  model: z.string(),
+  account: z.string().describe("Kagi account the conversation belongs to"),
+  updated_at: z.string().describe("When the conversation was last used"),
+  message_count: z.number().int(),
+  current: z.boolean(),
+});
+
+export const listConversationsInputSchema = {
+  limit: z.number().int().min(1).max(100).default(20).describe(
+    "Maximum number of conversations to list, most recently used first (default: 20).",
+  ),
+  account: z.string().min(1).optional().describe(
+    "Only list conversations of this Kagi account.",
+  ),
+};
+
+export const resumeConversationInputSchema = {
+  conversation_id: conversationIdSchema,
+};
+
+export const renameConversationInputSchema = {
+  conversation_id: conversationIdSchema,
+  title: z.string().min(1).describe("New title for the conversation."),
+};
+
+export const deleteConversationInputSchema = {
+  conversation_id: conversationIdSchema,
+};
+
+export const listMessagesInputSchema = {
+  conversation_id: conversationIdSchema.optional().describe(
+    "Conversation to list the messages of. Defaults to the current conversation.",
+  ),
+};
+
+export const forkConversationInputSchema = {
+  conversation_id: conversationIdSchema.describe("Conversation to fork."),
+  message_id: z.string().min(1).describe(
+    "Last message to keep in the fork, other than the conversation's last message. The fork's next prompt continues from here on a new branch.",
+  ),
+  new_conversation_id: conversationIdSchema.optional().describe(
+    "Name of the fork. Generated if omitted.",
+  ),
+};
+
+export const listConversationsOutputSchema = {
+  conversations: z.array(conversationSummarySchema),
+  total: z.number().int().describe("Number of matching conversations, before the limit"),
+};
+
+export const conversationOutputSchema = {
+  conversation: conversationSchema,
+};
+
+export const listMessagesOutputSchema = {
+  conversation_id: z.string(),
+  branch_id: z.string().nullable(),
+  messages: z.array(messageSchema),
+};
+
+export const deleteConversationOutputSchema = {
+  deleted: z.string().describe("ID of the deleted conversation"),
+};
+
+/**
+ * List saved assistant conversations, most recently used first
+ *
+ * @param {Object} args - Tool arguments
+ * @param {number} [args.limit] - Maximum number of conversations
+ * @param {string} [args.account] - Only list conversations of this account
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiListConversations({ limit = 20, account } = {}) {
+  try {
+    const matching = listConversations()
+      .map(summarizeConversation)
+      .filter((summary) => !account || summary.account === account);
+    const conversations = matching.slice(0, limit);
+
+    let text = conversations.length === 0
+      ? "No saved conversations."
+      : conversations.map(formatSummary).join("\n\n");
+    if (matching.length > conversations.length) {
+      text += `\n\nShowing ${conversations.length} of ${matching.length} conversations.`;
+    }
+    return toolResponse(text, { conversations, total: matching.length });
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Make a saved conversation the current one, so kagi_assistant calls without
+ * a conversation_id continue it
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.conversation_id - Conversation to resume
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiResumeConversation({ conversation_id }) {
+  try {
+    const conversation = setCurrentConversation(conversation_id);
+    if (!conversation) {
+      throw new KagiError("invalid_input", `Unknown conversation "${conversation_id}".`);
+    }
+    const current = { ...conversation, isCurrent: true };
+    return toolResponse(
+      `Resumed conversation:\n${formatConversation(current)}`,
+      { conversation: current },
+    );
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Rename a saved conversation
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.conversation_id - Conversation to rename
+ * @param {string} args.title - New title
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiRenameConversation({ conversation_id, title }) {
+  try {
+    const conversation = renameConversation(conversation_id, title);
+    if (!conversation) {
+      throw new KagiError("invalid_input", `Unknown conversation "${conversation_id}".`);
+    }
+    return toolResponse(
+      `Renamed conversation "${conversation_id}" to "${title}".`,
+      { conversation },
+    );
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * List the messages of a conversation's current branch, oldest first
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.conversation_id] - Conversation to list
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiListMessages({ conversation_id }) {
+  try {
+    const conversationId = conversation_id || getCurrentConversationId();
+    if (!conversationId) {
+      throw new KagiError("invalid_input", "No current conversation. Pass a conversation_id.");
+    }
+    const conversation = getConversation(conversationId);
+    if (!conversation) {
+      throw new KagiError("invalid_input", `Unknown conversation "${conversationId}".`);
+    }
+
+    const messages = conversation.messages || [];
+    const text = messages.length === 0
+      ? `Conversation "${conversationId}" has no recorded messages.`
+      : `Messages in conversation "${conversationId}":\n\n${
+        messages.map(formatMessage).join("\n\n")
+      }`;
+    return toolResponse(text, {
+      conversation_id: conversationId,
+      branch_id: conversation.branchId || null,
+      messages,
+    });
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Fork a conversation after one of its messages and make the fork current
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.conversation_id - Conversation to fork
+ * @param {string} args.message_id - Last message kept in the fork
+ * @param {string} [args.new_conversation_id] - Name of the fork
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiForkConversation({
+  conversation_id,
+  message_id,
+  new_conversation_id,
+}) {
+  try {
+    if (!getConversation(conversation_id)) {
+      throw new KagiError("invalid_input", `Unknown conversation "${conversation_id}".`);
+    }
+    if (new_conversation_id && getConversation(new_conversation_id)) {
+      throw new KagiError(
+        "invalid_input",
+        `Conversation "${new_conversation_id}" already exists. Choose another name or delete it first.`,
+      );
+    }
+
+    const fork = forkConversation(conversation_id, message_id, new_conversation_id);
+    if (!fork) {
+      throw new KagiError(
+        "invalid_input",
+        `Unknown message "${message_id}" in conversation "${conversation_id}". Use kagi_assistant_list_messages to see its messages.`,
+      );
+    }
+    const current = { ...fork, isCurrent: true };
+    return toolResponse(
+      `Forked conversation "${conversation_id}" after message ${message_id}:\n${
+        formatConversation(current)
+      }`,
+      { conversation: current },
+    );
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Delete a saved conversation. The thread itself stays in Kagi.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.conversation_id - Conversation to delete
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiDeleteConversation({ conversation_id }) {
+  try {
+    if (!deleteConversation(conversation_id)) {
+      throw new KagiError("invalid_input", `Unknown conversation "${conversation_id}".`);
+    }
+    return toolResponse(`Deleted conversation "${conversation_id}".`, {
+      deleted: conversation_id,
+    });
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Tool registration configurations for MCP server
+ */
+export const listConversationsToolConfig = {
+  name: "kagi_assistant_list_conversations",
+  description: `
+    List saved Kagi Assistant conversations, most recently used first, with their title, model,
+    account, message count and last used time. The current conversation is the one kagi_assistant
+    continues when called without a conversation_id. Use kagi_assistant_list_messages for the
+    messages of one conversation.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: listConversationsInputSchema,
+  outputSchema: listConversationsOutputSchema,
+};
+
+export const resumeConversationToolConfig = {
+  name: "kagi_assistant_resume_conversation",
+  description: `
+    Make a saved Kagi Assistant conversation the current one, so that kagi_assistant continues it
+    when called with new_conversation set to false and no conversation_id.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: resumeConversationInputSchema,
+  outputSchema: conversationOutputSchema,
+};
+
+export const renameConversationToolConfig = {
+  name: "kagi_assistant_rename_conversation",
+  description: "Change the title of a saved Kagi Assistant conversation.",
+  inputSchema: renameConversationInputSchema,
+  outputSchema: conversationOutputSchema,
+};
+
+export const deleteConversationToolConfig = {
+  name: "kagi_assistant_delete_conversation",
+  description: `
+    Delete a saved Kagi Assistant conversation from the local registry. The thread itself is not
+    deleted from Kagi.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: deleteConversationInputSchema,
+  outputSchema: deleteConversationOutputSchema,
+};
+
+export const listMessagesToolConfig = {
+  name: "kagi_assistant_list_messages",
+  description: `
+    List the messages of a saved Kagi Assistant conversation with their ids, prompts and models.
+    Pass a message id to kagi_assistant as edit_message_id to rewrite that prompt, or to
+    kagi_assistant_fork_conversation to branch off after it.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: listMessagesInputSchema,
+  outputSchema: listMessagesOutputSchema,
+};
+
+export const forkConversationToolConfig = {
+  name: "kagi_assistant_fork_conversation",
+  description: `
+    Fork a saved Kagi Assistant conversation after one of its messages, other than its last. The
+    fork becomes the current conversation and shares the context up to that message; its first
+    prompt starts a new branch, so the original conversation is unchanged. Fork twice and send the
+    same prompt with different models to compare them on the same context.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: forkConversationInputSchema,
+  outputSchema: conversationOutputSchema,
+};
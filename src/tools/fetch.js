@@ -0,0 +1,378 @@
+import { z } from "zod";
+import { getResultCache, normalizeUrl } from "../utils/cache.js";
+import { getConfig } from "../utils/config.js";
+import { errorResult, KagiError } from "../utils/errors.js";
+import { listHistory } from "../utils/history.js";
+import { runRequest } from "../utils/http.js";
+import { getPageDispatcher } from "../utils/network.js";
+import { extractReadable } from "../utils/readable.js";
+import { assertPublicUrl } from "../utils/ssrf.js";
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const USER_AGENT =
+  "Mozilla/5.0 (compatible; kagi-ken-mcp/1.0; +https://github.com/z23cc/kagi-mcp)";
+const PAGE_HINT =
+  "The page could not be fetched. Check the URL, or use kagi_summarizer, which reads pages through Kagi.";
+
+/**
+ * Schema for page fetch tool input validation
+ */
+export const fetchPageInputSchema = {
+  url: z.string().url().optional().describe("URL of the page to fetch."),
+  result: z.number().int().min(1).optional().describe(
+    "Number of a result of this session's last kagi_search_fetch call to fetch, instead of a url.",
+  ),
+  max_chars: z.number().int().min(500).max(100000).default(20000).describe(
+    "Maximum number of characters of content to return.",
+  ),
+  offset: z.number().int().min(0).default(0).describe(
+    "Character offset to start at, to continue a truncated page (use next_offset from the previous call).",
+  ),
+  bypass_cache: z.boolean().default(false).describe(
+    "Fetch the page again instead of using a cached copy. The fresh copy still refreshes the cache.",
+  ),
+};
+
+/**
+ * Schema for page fetch tool structured output
+ */
+export const fetchPageOutputSchema = {
+  url: z.string().describe("Requested URL"),
+  final_url: z.string().describe("URL after redirects"),
+  title: z.string(),
+  content_type: z.string(),
+  content: z.string().describe("Main content in Markdown, or the text of non-HTML pages"),
+  offset: z.number(),
+  total_chars: z.number().describe("Length of the whole content"),
+  next_offset: z.number().optional().describe("Offset of the rest, if the content was truncated"),
+  cached: z.boolean(),
+};
+
+/**
+ * Find the URL of a result of the session's last search
+ * Sessions of an HTTP server each number their own results.
+ *
+ * @param {number} number - Result number, as shown by kagi_search_fetch
+ * @param {string} [sessionId] - MCP session of the caller
+ * @returns {string} Result URL
+ * @throws {KagiError} If there is no search or no such result
+ */
+function resolveResultUrl(number, sessionId) {
+  const results = listHistory("search", sessionId)[0]?.data?.results;
+  if (!results || results.length === 0) {
+    throw new KagiError(
+      "invalid_input",
+      "There is no search in this session to take result numbers from. Run kagi_search_fetch first, or pass a url.",
+    );
+  }
+
+  const match = results.find((result) => result.rank === number);
+  if (!match?.url) {
+    throw new KagiError(
+      "invalid_input",
+      `The last search has no result ${number}. Its results are numbered ${
+        results[0].rank
+      } to ${results.at(-1).rank}.`,
+    );
+  }
+  return match.url;
+}
+
+/**
+ * Read a response body, up to a size limit
+ * @param {Response} response - Response
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<Buffer>} Body
+ * @throws {KagiError} If the body is larger than the limit
+ */
+async function readBody(response, maxBytes) {
+  const tooLarge = () =>
+    new KagiError(
+      "invalid_input",
+      `Page is larger than ${maxBytes} bytes (fetch_page.max_bytes)`,
+      { hint: "Use kagi_summarizer for large documents." },
+    );
+
+  if (Number(response.headers.get("content-length")) > maxBytes) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body ?? []) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decode a text body with the charset from its content type
+ * @param {Buffer} data - Body
+ * @param {string} contentType - Content-Type header
+ * @returns {string} Text
+ */
+function decodeText(data, contentType) {
+  const charset = /charset=["']?([\w.:-]+)/i.exec(contentType)?.[1];
+  try {
+    return new TextDecoder(charset || "utf-8").decode(data);
+  } catch {
+    return new TextDecoder().decode(data);
+  }
+}
+
+/**
+ * Turn a page body into readable text
+ *
+ * @param {Buffer} data - Body
+ * @param {string} contentType - Content-Type header
+ * @param {string} url - URL of the page
+ * @returns {Promise<{title: string, content: string}>} Title and content
+ * @throws {KagiError} If the content type is not supported
+ */
+async function convertBody(data, contentType, url) {
+  const mimeType = contentType.split(";")[0].trim().toLowerCase();
+
+  if (["text/html", "application/xhtml+xml"].includes(mimeType) || !mimeType) {
+    const { title, markdown } = extractReadable(decodeText(data, contentType), url);
+    return { title, content: markdown };
+  }
+
+  if (mimeType === "application/pdf") {
+    // Loaded on demand, the PDF parser is large
+    const { extractText, getDocumentProxy } = await import("unpdf");
+    const pdf = await getDocumentProxy(new Uint8Array(data));
+    const { text } = await extractText(pdf, { mergePages: true });
+    return { title: new URL(url).pathname.split("/").pop(), content: text };
+  }
+
+  if (
+    mimeType.startsWith("text/") || /[/+](json|xml)$/.test(mimeType) ||
+    mimeType === "application/javascript"
+  ) {
+    return { title: "", content: decodeText(data, contentType) };
+  }
+
+  throw new KagiError(
+    "invalid_input",
+    `Cannot extract text from ${mimeType} content at ${url}`,
+    { hint: "Use kagi_summarizer, which also handles videos, audio and other documents." },
+  );
+}
+
+/**
+ * Fetch a page and extract its content, following redirects
+ * Every redirect target passes the same address check as the first URL.
+ *
+ * @param {string} url - Page URL
+ * @param {AbortSignal} [signal] - Aborts the fetch
+ * @returns {Promise<Object>} Final URL, content type, title and content
+ * @throws {KagiError} If the page is blocked, fails or cannot be read
+ */
+async function fetchPage(url, signal) {
+  const { max_bytes } = getConfig().fetch_page;
+  let current = url;
+
+  for (let redirects = 0;; redirects++) {
+    await assertPublicUrl(current);
+
+    let response;
+    try {
+      response = await fetch(current, {
+        redirect: "manual",
+        signal,
+        dispatcher: getPageDispatcher(),
+        headers: {
+          "accept": "text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.8",
+          "user-agent": USER_AGENT,
+        },
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      // The page dispatcher refuses hosts that resolve to blocked addresses
+      if (error.cause instanceof KagiError) {
+        throw error.cause;
+      }
+      // The cause keeps the error code, so connection errors are retried
+      throw new KagiError(
+        "upstream_error",
+        `Failed to fetch ${current}: ${error.cause?.code || error.message}`,
+        { hint: PAGE_HINT, cause: error },
+      );
+    }
+
+    const location = response.headers.get("location");
+    if (REDIRECT_STATUSES.has(response.status) && location) {
+      await response.body?.cancel();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new KagiError("upstream_error", `Too many redirects from ${url}`, {
+          hint: PAGE_HINT,
+        });
+      }
+      current = new URL(location, current).href;
+      continue;
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      const error = new KagiError(
+        "upstream_error",
+        `HTTP ${response.status}: ${response.statusText} fetching ${current}`,
+        { hint: PAGE_HINT },
+      );
+      // Rate-limited and temporarily failed pages are retried by status
+      error.status = response.status;
+      throw error;
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    const data = await readBody(response, max_bytes);
+    const { title, content } = await convertBody(data, contentType, current);
+    return {
+      finalUrl: current,
+      contentType: contentType.split(";")[0].trim() || "text/html",
+      title,
+      content,
+    };
+  }
+}
+
+/**
+ * Get a page's content, from the cache or by fetching it
+ *
+ * @param {string} url - Page URL
+ * @param {Object} options - Options
+ * @param {boolean} options.bypassCache - Whether to skip a cached copy
+ * @param {AbortSignal} [options.signal] - Cancels the fetch
+ * @returns {Promise<{page: Object, cached: boolean}>} Page content
+ */
+async function getPage(url, { bypassCache, signal }) {
+  const cache = getResultCache();
+  const cacheKey = `page:${normalizeUrl(url)}`;
+  const hit = bypassCache ? null : cache.get(cacheKey);
+  if (hit) {
+    return { page: hit.value, cached: true };
+  }
+
+  // Pages share the request layer with Kagi calls, for its time limit,
+  // retries, cancellation and fixtures
+  let page;
+  try {
+    page = await runRequest((attemptSignal) => fetchPage(url, attemptSignal), {
+      signal,
+      timeoutMs: getConfig().timeouts.fetch_page_ms,
+      label: "Fetch page",
+      fixture: { url },
+    });
+  } catch (error) {
+    if (error?.name === "TimeoutError") {
+      throw new KagiError("timeout", `Fetching ${url} timed out`, {
+        hint: "The site did not answer in time. Retry, or raise timeouts.fetch_page_ms in the config file.",
+        cause: error,
+      });
+    }
+    throw error;
+  }
+
+  cache.set(cacheKey, page);
+  return { page, cached: false };
+}
+
+/**
+ * Kagi page fetch tool implementation
+ * Fetches a page directly (not through Kagi) and returns its main content as
+ * Markdown, a slice at a time.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} [args.url] - Page URL
+ * @param {number} [args.result] - Number of a result of the last search
+ * @param {number} args.max_chars - Maximum characters of content to return
+ * @param {number} args.offset - Character offset to start at
+ * @param {boolean} args.bypass_cache - Whether to skip a cached copy
+ * @param {Object} [extra] - MCP request handler extra, whose signal cancels the fetch and whose session numbers the results
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiFetchPage({
+  url,
+  result,
+  max_chars = 20000,
+  offset = 0,
+  bypass_cache = false,
+}, extra) {
+  try {
+    if ((url === undefined) === (result === undefined)) {
+      throw new KagiError("invalid_input", "Provide exactly one of url or result.");
+    }
+    const pageUrl = url ?? resolveResultUrl(result, extra?.sessionId);
+
+    const { page, cached } = await getPage(pageUrl, {
+      bypassCache: bypass_cache,
+      signal: extra?.signal,
+    });
+
+    const total = page.content.length;
+    if (offset > 0 && offset >= total) {
+      throw new KagiError(
+        "invalid_input",
+        `offset ${offset} is past the end of the content (${total} characters).`,
+      );
+    }
+    const content = page.content.slice(offset, offset + max_chars);
+    const end = offset + content.length;
+    const nextOffset = end < total ? end : undefined;
+
+    const header = [
+      ...(page.title ? [`Title: ${page.title}`] : []),
+      `URL: ${page.finalUrl}`,
+      `Characters ${offset}-${end} of ${total}${cached ? " (cached)" : ""}`,
+    ].join("\n");
+    const footer = nextOffset !== undefined
+      ? `\n\n[Truncated. Call again with offset ${nextOffset} for the rest.]`
+      : "";
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${header}\n-----\n${content || "(No readable content found)"}${footer}`,
+        },
+      ],
+      structuredContent: {
+        url: pageUrl,
+        final_url: page.finalUrl,
+        title: page.title,
+        content_type: page.contentType,
+        content,
+        offset,
+        total_chars: total,
+        next_offset: nextOffset,
+        cached,
+      },
+    };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Tool registration configuration for MCP server
+ */
+export const fetchPageToolConfig = {
+  name: "kagi_fetch_page",
+  description: `
+    Fetch a web page and return its main readable content as Markdown, without navigation, ads
+    and other page furniture. Takes a URL, or the number of a result of the last kagi_search_fetch
+    call. Use when snippets or a summary are not enough and the full article text is needed. Long
+    pages are returned max_chars at a time; pass next_offset as offset to continue. Plain text,
+    JSON and PDF pages are returned as text. Pages on private or local addresses are refused.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: fetchPageInputSchema,
+  outputSchema: fetchPageOutputSchema,
+};
@@ -0,0 +1,148 @@
+import { errorResult } from "../utils/errors.js";
+import { getDefaultModel, getModels } from "../utils/models.js";
+import { accountInputSchema, resolveAccountName } from "../utils/auth.js";
+import { z } from "zod";
+
+/**
+ * Schema for list models tool input validation
+ */
+export const listModelsInputSchema = {
+  refresh: z.boolean().default(false).describe(
+    "Discover the models again instead of using the cached list.",
+  ),
+  account: accountInputSchema,
+};
+
+/**
+ * Schema for list models tool structured output
+ */
+export const listModelsOutputSchema = {
+  account: z.string().describe("Kagi account the models were discovered for"),
+  source: z.enum(["kagi", "config"]).describe(
+    "Where the model list came from: discovery or the configured list",
+  ),
+  default_model: z.string().nullable(),
+  models: z.array(z.object({
+    id: z.string().describe("Model name to pass as model to kagi_assistant"),
+    name: z.string(),
+    provider: z.string().nullable(),
+    vision: z.boolean().nullable().describe("Whether the model accepts images, null if unknown"),
+    internet_access: z.boolean().nullable().describe("Whether the model can search the web, null if unknown"),
+    max_input_tokens: z.number().nullable(),
+  })),
+  profiles: z.array(z.object({
+    id: z.string().describe("Id to pass as profile_id to kagi_assistant"),
+    name: z.string(),
+    model: z.string(),
+  })).describe("Custom assistants of the account"),
+  discovery_error: z.string().nullable().describe(
+    "Why discovery failed, when the configured model list was used on its own",
+  ),
+};
+
+/**
+ * Describe a capability that may be unknown
+ * @param {boolean|null} value - Capability
+ * @returns {string} yes, no or unknown
+ */
+function describeCapability(value) {
+  if (value === null) {
+    return "unknown";
+  }
+  return value ? "yes" : "no";
+}
+
+/**
+ * Format the model list for display
+ * @param {Object} result - Result of getModels
+ * @param {string} defaultModel - Default model name
+ * @returns {string} Formatted models
+ */
+function formatModels(result, defaultModel) {
+  const sources = {
+    kagi: "discovered from your Kagi account",
+    config: "from the configured model list",
+  };
+  const lines = [`Available models (${sources[result.source]}):`];
+
+  for (const model of result.models) {
+    const details = [
+      model.provider && `provider: ${model.provider}`,
+      `vision: ${describeCapability(model.vision)}`,
+      `internet access: ${describeCapability(model.internet_access)}`,
+      model.max_input_tokens && `max input tokens: ${model.max_input_tokens}`,
+    ].filter(Boolean).join(", ");
+    const isDefault = model.id === defaultModel ? " (default)" : "";
+    const name = model.name !== model.id ? ` - ${model.name}` : "";
+    lines.push(`- ${model.id}${isDefault}${name} (${details})`);
+  }
+
+  if (result.profiles.length > 0) {
+    lines.push("", "Custom assistants (pass the id as profile_id):");
+    for (const profile of result.profiles) {
+      lines.push(`- ${profile.id}: ${profile.name} (model: ${profile.model})`);
+    }
+  }
+
+  if (result.discoveryError) {
+    lines.push("", `Model discovery failed: ${result.discoveryError}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * List the Kagi Assistant models available to the account
+ *
+ * @param {Object} args - Tool arguments
+ * @param {boolean} [args.refresh] - Skip the cached model list
+ * @param {string} [args.account] - Kagi account to list the models of
+ * @param {Object} [extra] - MCP request handler extra, whose signal cancels discovery
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiListModels({ refresh = false, account } = {}, extra) {
+  try {
+    const accountName = resolveAccountName(account);
+    const result = await getModels({
+      refresh,
+      account: accountName,
+      signal: extra?.signal,
+    });
+    const defaultModel = getDefaultModel(result.models.map((model) => model.id)) ||
+      null;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: formatModels(result, defaultModel),
+        },
+      ],
+      structuredContent: {
+        account: accountName,
+        source: result.source,
+        default_model: defaultModel,
+        models: result.models,
+        profiles: result.profiles,
+        discovery_error: result.discoveryError,
+      },
+    };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Tool registration configuration for MCP server
+ */
+export const listModelsToolConfig = {
+  name: "kagi_list_models",
+  description: `
+    List the Kagi Assistant models available to your Kagi account with their capabilities
+    (image input, internet access, input limit), and your custom assistants. Models are
+    discovered from your account and cached; a configured model list (KAGI_MODEL_LIST) overrides
+    them.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: listModelsInputSchema,
+  outputSchema: listModelsOutputSchema,
+};
@@ -0,0 +1,317 @@
+import { z } from "zod";
+import { askAssistant } from "./assistant.js";
+import { searchQuery } from "./search.js";
+import { getConcurrency, linkSummary, summarizeInput } from "./summarizer.js";
+import { accountInputSchema, resolveCredentials } from "../utils/auth.js";
+import { mapSettledWithConcurrency } from "../utils/concurrency.js";
+import { describeError, errorResult, errorSchema, KagiError } from "../utils/errors.js";
+import { resolveSearchFilters } from "../utils/filters.js";
+import { mergeSearchResults, structureSearchResults } from "../utils/formatting.js";
+import { getAvailableModels, getDefaultModel } from "../utils/models.js";
+
+const MAX_BREADTH = 8;
+const MAX_DEPTH = 10;
+
+/**
+ * Schema for research tool input validation
+ */
+export const researchInputSchema = {
+  question: z.string().min(1).describe("The question to research."),
+  queries: z.array(z.string().min(1)).min(1).max(MAX_BREADTH).optional().describe(
+    "Search queries to run. If omitted, Kagi Assistant breaks the question into sub-queries.",
+  ),
+  breadth: z.number().int().min(1).max(MAX_BREADTH).default(3).describe(
+    "Number of sub-queries to generate when queries is not given.",
+  ),
+  depth: z.number().int().min(1).max(MAX_DEPTH).default(5).describe(
+    "Number of top results, after deduplication, to read with the Summarizer.",
+  ),
+  model: z.string().optional().describe(
+    "Kagi Assistant model that plans the queries and writes the report (default: the default model).",
+  ),
+  account: accountInputSchema,
+};
+
+/**
+ * Schema for research tool structured output
+ */
+export const researchOutputSchema = {
+  question: z.string(),
+  queries: z.array(z.object({
+    query: z.string(),
+    result_count: z.number(),
+    error: errorSchema.optional(),
+  })),
+  model: z.string(),
+  report: z.string().describe("Report in Markdown, citing sources as [n]"),
+  sources: z.array(z.object({
+    number: z.number().describe("Number the report cites the source by"),
+    title: z.string(),
+    url: z.string(),
+    snippet: z.string(),
+    summary: z.string().optional(),
+    error: errorSchema.optional().describe("Why the source could not be summarized"),
+    queries: z.array(z.string()).describe("Queries that found the source"),
+  })),
+};
+
+/**
+ * Create a reporter that sends research steps as MCP progress notifications
+ * Does nothing unless the client supplied a progress token.
+ *
+ * @param {Object} [extra] - MCP request handler extra
+ * @returns {Function} Reporter taking the step message and the total step count
+ */
+function createStepReporter(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined || !extra.sendNotification) {
+    return async () => {};
+  }
+
+  let progress = 0;
+  return async (message, total) => {
+    try {
+      await extra.sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress: ++progress, total, message },
+      });
+    } catch (error) {
+      console.warn("Failed to send progress notification:", error);
+    }
+  };
+}
+
+/**
+ * Ask the assistant to break a question into search queries
+ * Falls back to searching for the question itself if the reply holds no
+ * usable list.
+ *
+ * @param {string} question - Question to research
+ * @param {number} breadth - Maximum number of queries
+ * @param {Object} options - Options for askAssistant
+ * @returns {Promise<Array<string>>} Search queries
+ */
+async function planQueries(question, breadth, options) {
+  const { reply } = await askAssistant(
+    `Break the following question into at most ${breadth} web search queries that together cover it. Reply with only a JSON array of query strings.
+
+Question: ${question}`,
+    options,
+  );
+
+  try {
+    const queries = JSON.parse(reply.match(/\[[\s\S]*\]/)?.[0] ?? "null");
+    const valid = Array.isArray(queries)
+      ? queries.filter((query) => typeof query === "string" && query.trim() !== "")
+      : [];
+    if (valid.length > 0) {
+      return [...new Set(valid.map((query) => query.trim()))].slice(0, breadth);
+    }
+  } catch {
+    // Not JSON; search for the question instead
+  }
+  return [question];
+}
+
+/**
+ * Build the prompt that turns the sources into a report
+ * @param {string} question - Question to research
+ * @param {Array<Object>} sources - Numbered sources
+ * @returns {string} Prompt
+ */
+function buildReportPrompt(question, sources) {
+  const sourceList = sources
+    .map((source) =>
+      `[${source.number}] ${source.title}
+URL: ${source.url}
+${source.summary || source.snippet}`
+    )
+    .join("\n\n");
+
+  return `Write a research report in Markdown that answers the question below, using only the numbered sources. Cite every claim with the source numbers in square brackets, e.g. [1] or [2][3]. Say so where the sources disagree or do not answer part of the question. Do not add a list of sources at the end.
+
+Question: ${question}
+
+Sources:
+
+${sourceList}`;
+}
+
+/**
+ * Format the research report with its list of sources
+ * @param {string} report - Report from the assistant
+ * @param {Array<Object>} sources - Numbered sources
+ * @returns {string} Formatted report
+ */
+function formatReport(report, sources) {
+  const sourceList = sources
+    .map((source) =>
+      `[${source.number}] ${source.title} - ${source.url}${
+        source.error ? " (not summarized, snippet used)" : ""
+      }`
+    )
+    .join("\n");
+  return `${report}\n\n## Sources\n\n${sourceList}`;
+}
+
+/**
+ * Kagi research tool implementation
+ * Runs search, summarizer and assistant in one call: plans sub-queries,
+ * searches them, reads the top deduplicated results and writes a cited report.
+ *
+ * @param {Object} args - Tool arguments
+ * @param {string} args.question - Question to research
+ * @param {Array<string>} [args.queries] - Search queries to run instead of generated ones
+ * @param {number} args.breadth - Number of sub-queries to generate
+ * @param {number} args.depth - Number of top results to summarize
+ * @param {string} [args.model] - Assistant model to use
+ * @param {string} [args.account] - Kagi account to use
+ * @param {Object} [extra] - MCP request handler extra, used for progress notifications and cancellation
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function kagiResearch({
+  question,
+  queries,
+  breadth = 3,
+  depth = 5,
+  model,
+  account,
+}, extra) {
+  try {
+    const signal = extra?.signal;
+    const credentials = resolveCredentials(account, { searchCookie: true });
+
+    const availableModels = await getAvailableModels(credentials.account);
+    const selectedModel = model || getDefaultModel(availableModels);
+    if (!availableModels.includes(selectedModel)) {
+      throw new KagiError(
+        "invalid_input",
+        `Invalid model "${selectedModel}". Available models: ${availableModels.join(", ")}`,
+      );
+    }
+    const assistantOptions = { credentials, model: selectedModel, signal };
+
+    // Planning, searching, one step per summary, and the report; the total
+    // drops once it is known how many results there are to read
+    const reportStep = createStepReporter(extra);
+    let totalSteps = 3 + depth;
+
+    await reportStep("Planning search queries", totalSteps);
+    const searchQueries = queries
+      ? [...new Set(queries.map((query) => query.trim()))]
+      : await planQueries(question, breadth, assistantOptions);
+
+    await reportStep(`Searching: ${searchQueries.join("; ")}`, totalSteps);
+    const filters = resolveSearchFilters({});
+    const searches = await Promise.allSettled(
+      searchQueries.map((query) =>
+        searchQuery(query, {
+          token: credentials.token,
+          account: credentials.account,
+          filters,
+          signal,
+        })
+      ),
+    );
+    signal?.throwIfAborted();
+
+    if (searches.every((result) => result.status === "rejected")) {
+      throw searches[0].reason;
+    }
+
+    const queryResults = structureSearchResults(
+      searchQueries,
+      searches.map((result) => result.value?.response),
+    );
+    const merged = mergeSearchResults(queryResults).filter((result) => result.url);
+    if (merged.length === 0) {
+      throw new KagiError(
+        "upstream_error",
+        `No search results for: ${searchQueries.join("; ")}`,
+        { hint: "Rephrase the question or pass your own queries." },
+      );
+    }
+
+    // Read the top results, each under the number the report cites it by
+    const top = merged.slice(0, depth);
+    totalSteps = 3 + top.length;
+    const summaries = await mapSettledWithConcurrency(
+      top,
+      getConcurrency(),
+      async (result) => {
+        const summary = await summarizeInput({ type: "url", source: result.url }, {
+          token: credentials.token,
+          account: credentials.account,
+          summaryType: "summary",
+          language: "EN",
+          bypassCache: false,
+          signal,
+        });
+        await reportStep(`Summarized ${result.url}`, totalSteps);
+        return summary;
+      },
+    );
+    signal?.throwIfAborted();
+
+    const sources = top.map((result, i) => ({
+      number: i + 1,
+      title: result.title,
+      url: result.url,
+      snippet: result.snippet,
+      ...(summaries[i].status === "fulfilled"
+        ? { summary: summaries[i].value.summary }
+        : { error: describeError(summaries[i].reason) }),
+      queries: result.queries,
+    }));
+
+    await reportStep("Writing the report", totalSteps);
+    const { reply: report } = await askAssistant(
+      buildReportPrompt(question, sources),
+      assistantOptions,
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: formatReport(report, sources),
+        },
+        ...sources.flatMap((source) =>
+          source.summary
+            ? [linkSummary({ source: source.url }, source.summary, extra?.sessionId)]
+            : []
+        ),
+      ],
+      structuredContent: {
+        question,
+        queries: queryResults.map(({ query, results }, i) => ({
+          query,
+          result_count: results.length,
+          ...(searches[i].status === "rejected" &&
+            { error: describeError(searches[i].reason) }),
+        })),
+        model: selectedModel,
+        report,
+        sources,
+      },
+    };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Tool registration configuration for MCP server
+ */
+export const researchToolConfig = {
+  name: "kagi_research",
+  description: `
+    Research a question in one call: Kagi Assistant breaks it into search queries (or use your
+    own), Kagi Search runs them, the top results are deduplicated and read with the Kagi
+    Summarizer, and Kagi Assistant writes a Markdown report citing the sources as [n]. Returns the
+    report and the list of sources it used. Takes a while; progress is reported per step. Needs
+    the session token and the search cookie.
+    `.replace(/\s+/gs, " ").trim(),
+  inputSchema: researchInputSchema,
+  outputSchema: researchOutputSchema,
+};
@@ -1,11 +1,35 @@
-import { search } from "kagi-ken";
 import {
-  formatError,
+  formatMergedSearchResults,
   formatSearchResults,
   getEnvironmentConfig,
+  mergeSearchResults,
+  structureSearchResults,
 } from "../utils/formatting.js";
+import { getResultCache, normalizeQuery } from "../utils/cache.js";
+import {
+  applyQueryOperators,
+  describeFilters,
+  FRESHNESS_WINDOWS,
+  resolveSearchFilters,
+  SAFE_SEARCH_LEVELS,
+} from "../utils/filters.js";
+import { getConfig } from "../utils/config.js";
+import { accountInputSchema, buildCookieHeader } from "../utils/auth.js";
+import {
+  describeError,
+  errorResult,
+  errorSchema,
+  KagiError,
+} from "../utils/errors.js";
+import { kagiFetch } from "../utils/http.js";
+import { addToHistory } from "../utils/history.js";
+import { kagiUrl } from "../utils/network.js";
+import { parseSearchPage } from "../utils/serp.js";
 import { z } from "zod";
 
+// Kagi's search page without JavaScript, which kagi-ken's search reads too
+const SEARCH_PATH = "/html/search";
+
 /**
  * Schema for search tool input validation
  */
@@ -13,87 +37,295 @@ export const searchInputSchema = {
   queries: z.array(z.string()).min(1).describe(
     "One or more concise, keyword-focused search queries. Include essential context within each query for standalone use.",
   ),
+  include_domains: z.array(z.string().min(1)).optional().describe(
+    "Only return results from these domains (e.g., ['github.com', 'nodejs.org']). Applied to every query.",
+  ),
+  exclude_domains: z.array(z.string().min(1)).optional().describe(
+    "Never return results from these domains. Applied to every query.",
+  ),
+  freshness: z.enum(FRESHNESS_WINDOWS).optional().describe(
+    "Only return results published within the past day, week, month or year.",
+  ),
+  region: z.string().min(2).optional().describe(
+    "Region code to search from (e.g., 'us', 'de', 'jp'). Defaults to the account's Kagi setting.",
+  ),
+  safe_search: z.enum(SAFE_SEARCH_LEVELS).optional().describe(
+    "Turn safe search on or off. Defaults to the account's Kagi setting.",
+  ),
+  lens_id: z.string().min(1).optional().describe(
+    "ID of a Kagi lens to search with.",
+  ),
+  limit: z.number().int().min(1).max(50).optional().describe(
+    "Maximum number of results per query.",
+  ),
+  merge: z.boolean().default(false).describe(
+    "Merge the results of all queries into one deduplicated list ranked by reciprocal rank fusion, showing which queries found each result. Useful for several related queries.",
+  ),
+  bypass_cache: z.boolean().default(false).describe(
+    "Skip cached results and always search again. Fresh results still refresh the cache.",
+  ),
+  account: accountInputSchema,
 };
 
 /**
- * Kagi search tool implementation using kagi-ken package
+ * Schema for search tool structured output
+ */
+export const searchOutputSchema = {
+  filters: z.object({
+    include_domains: z.array(z.string()).optional(),
+    exclude_domains: z.array(z.string()).optional(),
+    freshness: z.string().optional(),
+    since: z.string().optional().describe("Earliest publication date for the freshness window"),
+    region: z.string().optional(),
+    safe_search: z.string().optional(),
+    lens_id: z.string().optional(),
+    limit: z.number().int().optional(),
+  }).describe("Filters that took effect"),
+  queries: z.array(z.object({
+    query: z.string(),
+    cached: z.boolean(),
+    error: errorSchema.optional().describe("Why the query failed; its results are then empty"),
+    results: z.array(z.object({
+      rank: z.number().int().describe("Result number, continuous across all queries"),
+      title: z.string(),
+      url: z.string(),
+      published: z.string().nullable(),
+      snippet: z.string(),
+    })).optional().describe("Results for this query, omitted in merge mode"),
+  })),
+  merged: z.array(z.object({
+    rank: z.number().int(),
+    title: z.string(),
+    url: z.string(),
+    published: z.string().nullable(),
+    snippet: z.string(),
+    score: z.number().describe("Reciprocal rank fusion score"),
+    queries: z.array(z.string()).describe("Queries that returned this result"),
+  })).optional().describe("Deduplicated results across all queries, only in merge mode"),
+};
+
+/**
+ * Build the URL of a Kagi search page
+ * @param {string} query - Search query, with its operators
+ * @param {Object<string, string>} [params] - Search page parameters from resolveSearchFilters
+ * @returns {string} Search page URL
+ */
+export function buildSearchUrl(query, params = {}) {
+  return kagiUrl(`${SEARCH_PATH}?${new URLSearchParams({ q: query, ...params })}`);
+}
+
+/**
+ * Search Kagi
+ *
+ * @param {string} query - Search query, with its operators
+ * @param {string} token - Kagi session token
+ * @param {Object<string, string>} params - Search page parameters
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<{data: Array<Object>}>} Results, as kagi-ken's search returns them
+ * @throws {KagiError} If the request fails
+ */
+async function requestSearch(query, token, params, signal) {
+  const response = await kagiFetch(buildSearchUrl(query, params), {
+    redirect: "manual",
+    headers: { "cookie": buildCookieHeader({ token }) },
+  }, {
+    signal,
+    timeoutMs: getConfig().timeouts.search_ms,
+    label: "Search",
+  });
+
+  // Without a valid session, Kagi redirects to its login page
+  if (
+    (response.status >= 300 && response.status < 400) ||
+    response.status === 401 || response.status === 403
+  ) {
+    await response.body?.cancel();
+    throw new KagiError("auth_expired", "Invalid or expired session token");
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new KagiError("upstream_error", `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return { data: parseSearchPage(await response.text()) };
+}
+
+/**
+ * Run one search query, or serve it from the result cache
+ *
+ * @param {string} query - Search query
+ * @param {Object} options - Options
+ * @param {string} options.token - Kagi session token
+ * @param {string} options.account - Account name; accounts are cached apart
+ * @param {Object} options.filters - Filters from resolveSearchFilters
+ * @param {boolean} [options.bypassCache] - Whether to skip a cached result
+ * @param {AbortSignal} [options.signal] - Cancels the search
+ * @returns {Promise<{response: Object, cached: boolean}>} Search response
+ * @throws {KagiError} If the query is empty
+ */
+export async function searchQuery(query, {
+  token,
+  account,
+  filters,
+  bypassCache = false,
+  signal,
+}) {
+  if (typeof query !== "string" || query.trim() === "") {
+    throw new KagiError("invalid_input", "All queries must be non-empty strings");
+  }
+
+  // Results depend on the account's settings, so accounts are cached apart
+  const filteredQuery = applyQueryOperators(query, filters);
+  const params = new URLSearchParams(filters.params);
+  params.sort();
+  const cacheKey = `search:${account}:${normalizeQuery(filteredQuery)}${
+    params.size > 0 ? `|${params}` : ""
+  }`;
+  const cache = getResultCache();
+  const hit = bypassCache ? null : cache.get(cacheKey);
+  if (hit) {
+    return { response: hit.value, cached: true };
+  }
+
+  const response = await requestSearch(filteredQuery, token, filters.params, signal);
+  cache.set(cacheKey, response);
+  return { response, cached: false };
+}
+
+/**
+ * Kagi search tool implementation
  * Mirrors the functionality of the official Kagi MCP kagi_search_fetch tool
  *
  * @param {Object} args - Tool arguments
  * @param {Array<string>} args.queries - Array of search queries
+ * @param {Array<string>} [args.include_domains] - Only return results from these domains
+ * @param {Array<string>} [args.exclude_domains] - Never return results from these domains
+ * @param {string} [args.freshness] - Freshness window (day|week|month|year)
+ * @param {string} [args.region] - Region code
+ * @param {string} [args.safe_search] - Safe search (off|on)
+ * @param {string} [args.lens_id] - Kagi lens id
+ * @param {number} [args.limit] - Maximum results per query
+ * @param {boolean} args.merge - Whether to merge and deduplicate results across queries
+ * @param {boolean} args.bypass_cache - Whether to skip cached results
+ * @param {string} [args.account] - Kagi account to search with
+ * @param {Object} [extra] - MCP request handler extra, whose signal cancels the searches
  * @returns {Promise<Object>} MCP tool response
  */
-export async function kagiSearchFetch({ queries }) {
+export async function kagiSearchFetch({
+  queries,
+  merge = false,
+  bypass_cache = false,
+  account,
+  ...filterArgs
+}, extra) {
   try {
     if (!queries || queries.length === 0) {
-      throw new Error("Search called with no queries.");
+      throw new KagiError("invalid_input", "Search called with no queries.");
     }
 
-    const { token } = getEnvironmentConfig();
+    const { token, account: accountName } = getEnvironmentConfig({ account });
+    const cached = [];
+    const filters = resolveSearchFilters(filterArgs);
 
     // Execute searches concurrently (similar to ThreadPoolExecutor in original)
-    const searchPromises = queries.map((query) => {
-      if (typeof query !== "string" || query.trim() === "") {
-        throw new Error("All queries must be non-empty strings");
-      }
-      return search(query.trim(), token);
+    const searchPromises = queries.map(async (query, i) => {
+      const result = await searchQuery(query, {
+        token,
+        account: accountName,
+        filters,
+        bypassCache: bypass_cache,
+        signal: extra?.signal,
+      });
+      cached[i] = result.cached;
+      return result.response;
     });
 
-    // Wait for all searches to complete with 10 second timeout per search
-    const results = await Promise.allSettled(
-      searchPromises.map((promise) =>
-        Promise.race([
-          promise,
-          new Promise((_, reject) =>
-            setTimeout(() => reject(new Error("Search timeout")), 10000)
-          ),
-        ])
-      ),
-    );
+    // Wait for all searches to complete, with a timeout per search (default: 10 seconds)
+    const results = await Promise.allSettled(searchPromises);
+    extra?.signal?.throwIfAborted();
 
-    // Process results and handle any failures
-    const responses = [];
-    const errors = [];
-
-    for (let i = 0; i < results.length; i++) {
-      const result = results[i];
-      if (result.status === "fulfilled") {
-        responses.push(result.value);
-      } else {
-        errors.push(
-          `Query "${queries[i]}": ${result.reason?.message || result.reason}`,
-        );
-        // Add empty response to maintain index alignment
-        responses.push({ results: [] });
-      }
-    }
+    // Failed queries keep their place with an empty response and report
+    // their error in their own section
+    const responses = results.map((result) =>
+      result.status === "fulfilled" ? result.value : { results: [] }
+    );
+    const errors = results.map((result) =>
+      result.status === "rejected" ? result.reason : undefined
+    );
 
     // Format results using the same formatting as official MCP
-    const formattedResults = formatSearchResults(queries, responses);
+    const formatOptions = {
+      cached,
+      limit: filters.limit,
+      filters: describeFilters(filters.applied),
+      errors,
+    };
+    const structuredResults = structureSearchResults(
+      queries,
+      responses,
+      formatOptions,
+    );
+    errors.forEach((error, i) => {
+      if (error) {
+        structuredResults[i].error = describeError(error);
+      }
+    });
 
-    // Include any errors in the response
-    let finalResponse = formattedResults;
-    if (errors.length > 0) {
-      finalResponse += "\n\nErrors encountered:\n" + errors.join("\n");
+    let formattedResults;
+    let mergedResults;
+    if (merge) {
+      mergedResults = mergeSearchResults(structuredResults);
+      formattedResults = formatMergedSearchResults(
+        structuredResults,
+        mergedResults,
+        formatOptions,
+      );
+      for (const queryResults of structuredResults) {
+        delete queryResults.results;
+      }
+    } else {
+      formattedResults = formatSearchResults(queries, responses, formatOptions);
     }
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: finalResponse,
+    // Keep the result set, so it can be attached later as a resource
+    const history = results.some((result) => result.status === "fulfilled")
+      ? addToHistory("search", {
+        title: `Search: ${queries.map((query) => `"${query}"`).join(", ")}`,
+        text: formattedResults,
+        mimeType: "text/plain",
+        // Numbered as in the text, so kagi_fetch_page can fetch a result by number
+        data: {
+          results: (mergedResults || structuredResults.flatMap((query) => query.results))
+            .map(({ rank, title, url }) => ({ rank, title, url })),
         },
-      ],
-    };
-  } catch (error) {
+        sessionId: extra?.sessionId,
+      })
+      : null;
+
     return {
       content: [
         {
           type: "text",
-          text: formatError(error),
+          text: formattedResults,
         },
+        ...(history
+          ? [{
+            type: "resource_link",
+            uri: history.uri,
+            name: history.title,
+            mimeType: history.mimeType,
+          }]
+          : []),
       ],
+      // Partial failures still return the results of the other queries
+      isError: results.every((result) => result.status === "rejected"),
+      structuredContent: {
+        filters: filters.applied,
+        queries: structuredResults,
+        merged: mergedResults,
+      },
     };
+  } catch (error) {
+    return errorResult(error);
   }
 }
 
@@ -106,7 +338,11 @@ export const searchToolConfig = {
     Fetch web results based on one or more queries using the Kagi.com web search engine. Use for
     general search and when the user explicitly tells you to 'fetch' results/information. Results are
     from all queries given. They are numbered continuously, so that a user may be able to refer to a
-    result by a specific number.
+    result by a specific number. Optional filters (domains, freshness, region, safe search, lens,
+    result limit) apply to every query and are listed in each result header. Set merge to combine
+    related queries into one deduplicated, reranked list. Repeated queries are
+    served from a cache and marked "(cached)".
     `.replace(/\s+/gs, " ").trim(),
   inputSchema: searchInputSchema,
+  outputSchema: searchOutputSchema,
 };
@@ -1,43 +1,260 @@
 import { summarize, SUPPORTED_LANGUAGES } from "kagi-ken";
-import { formatError, getEnvironmentConfig } from "../utils/formatting.js";
+import { getEnvironmentConfig } from "../utils/formatting.js";
+import {
+  describeError,
+  errorResult,
+  errorSchema,
+  formatError,
+  KagiError,
+} from "../utils/errors.js";
+import { accountInputSchema } from "../utils/auth.js";
+import { getResultCache, normalizeUrl } from "../utils/cache.js";
+import { mapSettledWithConcurrency } from "../utils/concurrency.js";
+import { runRequest } from "../utils/http.js";
+import { readDocumentText } from "../utils/files.js";
+import { addToHistory } from "../utils/history.js";
+import { getConfig } from "../utils/config.js";
+import { createHash } from "crypto";
 import { z } from "zod";
 
+const MAX_BATCH_URLS = 20;
+
 /**
  * Schema for summarizer tool input validation
  */
 export const summarizerInputSchema = {
-  url: z.string().url().describe("A URL to a document to summarize."),
+  url: z.string().url().optional().describe("A URL to a document to summarize."),
+  urls: z.array(z.string().url()).min(1).max(MAX_BATCH_URLS).optional().describe(
+    "Several URLs to summarize, e.g. a reading list. Each is summarized separately and errors are reported per URL.",
+  ),
+  text: z.string().min(1).optional().describe(
+    "Raw text to summarize, e.g. a pasted document.",
+  ),
+  file_path: z.string().min(1).optional().describe(
+    "Path to a local PDF or text file (Markdown, plain text, HTML, source code...) in the workspace to summarize.",
+  ),
   summary_type: z.enum(["summary", "takeaway"]).default("summary").describe(
     "Type of summary to produce. Options are 'summary' for paragraph prose and 'takeaway' for a bulleted list of key points.",
   ),
   target_language: z.string().optional().describe(
     "Desired output language using language codes (e.g., 'EN' for English). If not specified, the document's original language influences the output.",
   ),
+  bypass_cache: z.boolean().default(false).describe(
+    "Skip a cached summary and always summarize again. The fresh summary still refreshes the cache.",
+  ),
+  account: accountInputSchema,
 };
 
+/**
+ * Schema for summarizer tool structured output
+ */
+export const summarizerOutputSchema = {
+  summary_type: z.enum(["summary", "takeaway"]),
+  language: z.string(),
+  items: z.array(z.object({
+    source_type: z.enum(["url", "text", "file"]),
+    source: z.string().describe("URL, file path, or 'text' for raw text"),
+    summary: z.string().optional(),
+    error: errorSchema.optional(),
+    cached: z.boolean(),
+  })).describe("One item per input, in input order"),
+};
+
+/**
+ * Get the maximum number of concurrent summaries for batches
+ * @returns {number} Concurrency limit
+ */
+export function getConcurrency() {
+  return getConfig().summarizer.concurrency;
+}
+
+/**
+ * Turn tool arguments into the list of inputs to summarize
+ * @param {Object} args - Tool arguments
+ * @returns {Array<{type: string, source: string}>} Inputs
+ * @throws {Error} If not exactly one of url, urls, text or file_path is given
+ */
+function collectInputs({ url, urls, text, file_path }) {
+  const given = [url, urls, text, file_path].filter((value) =>
+    value !== undefined
+  );
+  if (given.length === 0) {
+    throw new KagiError(
+      "invalid_input",
+      "Summarizer called with no input. Provide one of url, urls, text or file_path.",
+    );
+  }
+  if (given.length > 1) {
+    throw new KagiError("invalid_input", "Provide only one of url, urls, text or file_path.");
+  }
+
+  if (url) {
+    return [{ type: "url", source: url }];
+  }
+  if (urls) {
+    return urls.map((source) => ({ type: "url", source }));
+  }
+  if (text) {
+    return [{ type: "text", source: "text", text }];
+  }
+  return [{ type: "file", source: file_path }];
+}
+
+/**
+ * Extract the summary text from a kagi-ken summarize result
+ * @param {*} result - Result from kagi-ken
+ * @returns {string} Summary text
+ */
+function extractSummaryText(result) {
+  // The structure may vary, so we'll try different possible response formats
+  if (typeof result === "string") {
+    return result;
+  } else if (result && result.summary) {
+    return result.summary;
+  } else if (result && result.data && result.data.output) {
+    return result.data.output;
+  } else if (result && result.output) {
+    return result.output;
+  }
+  // Fallback: stringify the result if it's not in expected format
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Summarize one input, using the cache where possible
+ *
+ * @param {Object} input - Input from collectInputs
+ * @param {Object} options - Summary options
+ * @param {string} options.token - Kagi session token
+ * @param {string} options.account - Account name; accounts are cached apart
+ * @param {string} options.summaryType - Type of summary
+ * @param {string} options.language - Target language
+ * @param {boolean} options.bypassCache - Whether to skip a cached summary
+ * @param {AbortSignal} [options.signal] - Cancels the summary
+ * @returns {Promise<{summary: string, cached: boolean, storedAt: number}>} Summary
+ */
+export async function summarizeInput(input, {
+  token,
+  account,
+  summaryType,
+  language,
+  bypassCache,
+  signal,
+}) {
+  const content = input.type === "file"
+    ? await readDocumentText(input.source)
+    : input.text;
+
+  // Text and files are cached by content, URLs by their normalized form
+  const cacheSource = input.type === "url"
+    ? normalizeUrl(input.source)
+    : `text:${createHash("sha256").update(content).digest("hex")}`;
+  const cache = getResultCache();
+  // Summaries depend on the account's settings, so accounts are cached apart
+  const cacheKey = `summarize:${account}:${cacheSource}|${summaryType}|${language}`;
+  const hit = bypassCache ? null : cache.get(cacheKey);
+  if (hit) {
+    return { summary: hit.value, cached: true, storedAt: hit.storedAt };
+  }
+
+  // Prepare options for kagi-ken
+  const options = {
+    type: summaryType,
+    language: language,
+    isUrl: input.type === "url",
+  };
+
+  // Call kagi-ken summarize function. The attempt's signal goes with the
+  // options, so a timeout or cancellation can abort kagi-ken's request; it is
+  // left out of the fixture key.
+  const result = await runRequest(
+    (attemptSignal) =>
+      summarize(input.type === "url" ? input.source : content, token, {
+        ...options,
+        signal: attemptSignal,
+      }),
+    {
+      signal,
+      timeoutMs: getConfig().timeouts.summarizer_ms,
+      label: "Summarizer",
+      fixture: { source: cacheSource, options },
+    },
+  );
+  const summary = extractSummaryText(result);
+
+  cache.set(cacheKey, summary);
+  return { summary, cached: false, storedAt: Date.now() };
+}
+
+/**
+ * Keep a summary in the history, so it can be attached later as a resource
+ * @param {Object} input - Input from collectInputs
+ * @param {string} summary - Summary text
+ * @param {string} [sessionId] - MCP session the summary belongs to
+ * @returns {Object} Resource link to the summary
+ */
+export function linkSummary(input, summary, sessionId) {
+  const entry = addToHistory("summary", {
+    title: `Summary of ${input.source}`,
+    text: summary,
+    mimeType: "text/markdown",
+    sessionId,
+  });
+  return {
+    type: "resource_link",
+    uri: entry.uri,
+    name: entry.title,
+    mimeType: entry.mimeType,
+  };
+}
+
+/**
+ * Format a summary for text output, noting when it came from the cache
+ * @param {{summary: string, cached: boolean, storedAt: number}} result - Summary
+ * @returns {string} Formatted summary
+ */
+function formatSummary({ summary, cached, storedAt }) {
+  if (!cached) {
+    return summary;
+  }
+  return `${summary}\n\n(cached result from ${new Date(storedAt).toISOString()})`;
+}
+
 /**
  * Kagi summarizer tool implementation using kagi-ken package
  * Mirrors the functionality of the official Kagi MCP kagi_summarizer tool
  *
  * @param {Object} args - Tool arguments
- * @param {string} args.url - URL to summarize
+ * @param {string} [args.url] - URL to summarize
+ * @param {Array<string>} [args.urls] - URLs to summarize as a batch
+ * @param {string} [args.text] - Raw text to summarize
+ * @param {string} [args.file_path] - Local file to summarize
  * @param {string} args.summary_type - Type of summary (summary|takeaway)
  * @param {string} args.target_language - Target language code
+ * @param {boolean} args.bypass_cache - Whether to skip a cached summary
+ * @param {string} [args.account] - Kagi account to summarize with
+ * @param {Object} [extra] - MCP request handler extra, whose signal cancels the summaries
  * @returns {Promise<Object>} MCP tool response
  */
-export async function kagiSummarizer(
-  { url, summary_type = "summary", target_language },
-) {
+export async function kagiSummarizer({
+  url,
+  urls,
+  text,
+  file_path,
+  summary_type = "summary",
+  target_language,
+  bypass_cache = false,
+  account,
+}, extra) {
   try {
-    if (!url) {
-      throw new Error("Summarizer called with no URL.");
-    }
+    const inputs = collectInputs({ url, urls, text, file_path });
 
-    const { token, engine } = getEnvironmentConfig();
+    const { token, engine, account: accountName } = getEnvironmentConfig({ account });
 
     // Validate summary type
     if (!["summary", "takeaway"].includes(summary_type)) {
-      throw new Error(
+      throw new KagiError(
+        "invalid_input",
         `Invalid summary_type: ${summary_type}. Must be 'summary' or 'takeaway'.`,
       );
     }
@@ -64,49 +281,83 @@ export async function kagiSummarizer(
       );
     }
 
-    // Prepare options for kagi-ken
     const options = {
-      type: summary_type,
-      language: language,
-      isUrl: true,
+      token,
+      account: accountName,
+      summaryType: summary_type,
+      language,
+      bypassCache: bypass_cache,
+      signal: extra?.signal,
     };
 
-    // Call kagi-ken summarize function
-    const result = await summarize(url, token, options);
-
-    // Extract the summary text from the result
-    // The structure may vary, so we'll try different possible response formats
-    let summaryText;
-    if (typeof result === "string") {
-      summaryText = result;
-    } else if (result && result.summary) {
-      summaryText = result.summary;
-    } else if (result && result.data && result.data.output) {
-      summaryText = result.data.output;
-    } else if (result && result.output) {
-      summaryText = result.output;
-    } else {
-      // Fallback: stringify the result if it's not in expected format
-      summaryText = JSON.stringify(result, null, 2);
+    // A single input fails the whole call, batches report errors per item
+    if (!urls) {
+      const result = await summarizeInput(inputs[0], options);
+      return {
+        content: [
+          {
+            type: "text",
+            text: formatSummary(result),
+          },
+          linkSummary(inputs[0], result.summary, extra?.sessionId),
+        ],
+        structuredContent: {
+          summary_type,
+          language,
+          items: [{
+            source_type: inputs[0].type,
+            source: inputs[0].source,
+            summary: result.summary,
+            cached: result.cached,
+          }],
+        },
+      };
     }
 
+    const results = await mapSettledWithConcurrency(
+      inputs,
+      getConcurrency(),
+      (input) => summarizeInput(input, options),
+    );
+    extra?.signal?.throwIfAborted();
+
+    const items = results.map((result, i) => {
+      const item = { source_type: inputs[i].type, source: inputs[i].source };
+      if (result.status === "fulfilled") {
+        return {
+          ...item,
+          summary: result.value.summary,
+          cached: result.value.cached,
+        };
+      }
+      return { ...item, error: describeError(result.reason), cached: false };
+    });
+
+    const formattedSummaries = results.map((result, i) => {
+      const failed = result.status === "rejected";
+      return `-----
+Summary of ${inputs[i].source}${failed ? " failed" : ""}:
+-----
+${failed ? formatError(result.reason) : formatSummary(result.value)}`;
+    });
+
     return {
       content: [
         {
           type: "text",
-          text: summaryText,
+          text: formattedSummaries.join("\n\n"),
         },
+        ...results.flatMap((result, i) =>
+          result.status === "fulfilled"
+            ? [linkSummary(inputs[i], result.value.summary, extra?.sessionId)]
+            : []
+        ),
       ],
+      structuredContent: { summary_type, language, items },
+      isError: results.every((result) => result.status === "rejected"),
     };
   } catch (error) {
-    return {
-      content: [
-        {
-          type: "text",
-          text: formatError(error),
-        },
-      ],
-    };
+    return errorResult(error);
   }
 }
 
@@ -116,8 +367,12 @@ export async function kagiSummarizer(
 export const summarizerToolConfig = {
   name: "kagi_summarizer",
   description: `
-    Summarize content from a URL using the Kagi.com Summarizer API. The Summarizer can summarize any
-    document type (text webpage, video, audio, etc.)
+    Summarize content using the Kagi.com Summarizer API. Takes exactly one of: a URL, a list of
+    URLs (summarized concurrently, with errors reported per URL), raw text, or the path of a local
+    PDF or text file in the workspace. The Summarizer can summarize any document type behind a URL
+    (text webpage, video, audio, etc.) Repeated requests are served from a cache and marked as
+    cached.
     `.replace(/\s+/gs, " ").trim(),
   inputSchema: summarizerInputSchema,
+  outputSchema: summarizerOutputSchema,
 };
@@ -0,0 +1,261 @@
+import { createServer } from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { isIP } from "net";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { redactSecrets } from "../utils/auth.js";
+
+/**
+ * HTTP transports for sharing one server between several clients
+ *
+ * Serves Streamable HTTP at /mcp and the legacy SSE transport at /sse
+ * (stream) and /messages (client messages). Every session gets its own
+ * MCP server instance. Requests whose Host header is not one the server
+ * answers to are rejected, so a web page cannot reach the server through a
+ * DNS name rebound to its address.
+ */
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Check whether a listen host only accepts connections from this machine
+ * @param {string} host - Host the server listens on
+ * @returns {boolean} True for localhost and loopback addresses
+ */
+export function isLoopbackHost(host) {
+  const name = host.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+  return name === "localhost" ||
+    name === "::1" ||
+    /^(::ffff:)?127(\.\d{1,3}){3}$/.test(name);
+}
+
+/**
+ * Check whether a listen host accepts connections on every interface
+ * @param {string} host - Host the server listens on
+ * @returns {boolean} True for the IPv4 and IPv6 wildcard addresses
+ */
+export function isWildcardHost(host) {
+  return ["0.0.0.0", "::", "[::]"].includes(host);
+}
+
+/**
+ * List the Host header values the server answers to
+ * Loopback names are always allowed. Names given without a port get the
+ * server's port.
+ *
+ * @param {string} host - Host the server listens on
+ * @param {number} port - Port the server listens on
+ * @param {Array<string>} [extraHosts] - Other names clients connect with
+ * @returns {Array<string>} Allowed Host header values
+ */
+export function getAllowedHosts(host, port, extraHosts = []) {
+  const names = ["localhost", "127.0.0.1", "::1", ...extraHosts];
+  if (!isWildcardHost(host)) {
+    names.push(host);
+  }
+  const hostHeaders = names.map((name) => {
+    if (isIP(name) === 6) {
+      return `[${name}]:${port}`;
+    }
+    return /^(\[[^\]]+\]|[^:[\]]+):\d+$/.test(name) ? name : `${name}:${port}`;
+  });
+  return [...new Set(hostHeaders.map((name) => name.toLowerCase()))];
+}
+
+/**
+ * Check the request's bearer token against the configured one
+ * @param {import("http").IncomingMessage} req - Incoming request
+ * @param {string} authToken - Expected token
+ * @returns {boolean} True if the token matches
+ */
+function isAuthorized(req, authToken) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!match) {
+    return false;
+  }
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(authToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {import("http").IncomingMessage} req - Incoming request
+ * @returns {Promise<unknown>} Parsed body
+ * @throws {Error} If the body is too large or not valid JSON
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const error = new Error("Request body too large");
+      error.status = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+}
+
+/**
+ * Send a JSON-RPC error response
+ * @param {import("http").ServerResponse} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {number} [code] - JSON-RPC error code
+ */
+function sendError(res, status, message, code = -32000) {
+  if (res.headersSent) {
+    return;
+  }
+  const headers = { "content-type": "application/json" };
+  if (status === 401) {
+    headers["www-authenticate"] = "Bearer";
+  }
+  res.writeHead(status, headers).end(
+    JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }),
+  );
+}
+
+/**
+ * Start the HTTP server
+ *
+ * @param {Function} createMcpServer - Factory returning a new McpServer for a session
+ * @param {Object} options - Server options
+ * @param {string} options.host - Host to listen on
+ * @param {number} options.port - Port to listen on
+ * @param {string} [options.authToken] - Static bearer token required on every request
+ * @param {Array<string>} [options.allowedHosts] - Host names clients connect with, besides loopback
+ * @returns {Promise<{close: Function, port: number}>} Handle for shutting the server down
+ */
+export async function startHttpServer(
+  createMcpServer,
+  { host, port, authToken, allowedHosts },
+) {
+  const streamableTransports = new Map();
+  const sseTransports = new Map();
+  let transportOptions;
+
+  /**
+   * Handle a Streamable HTTP request on /mcp
+   */
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+    let transport = sessionId ? streamableTransports.get(sessionId) : null;
+    if (!transport) {
+      if (sessionId || req.method !== "POST" || !isInitializeRequest(body)) {
+        sendError(res, sessionId ? 404 : 400, "No valid session ID provided");
+        return;
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        ...transportOptions,
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          streamableTransports.set(id, transport);
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          streamableTransports.delete(transport.sessionId);
+        }
+      };
+      await createMcpServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Open a legacy SSE stream on /sse
+   */
+  async function handleSseStream(req, res) {
+    const transport = new SSEServerTransport("/messages", res, transportOptions);
+    sseTransports.set(transport.sessionId, transport);
+    transport.onclose = () => {
+      sseTransports.delete(transport.sessionId);
+    };
+    await createMcpServer().connect(transport);
+  }
+
+  /**
+   * Handle a legacy SSE client message on /messages
+   */
+  async function handleSseMessage(req, res, url) {
+    const transport = sseTransports.get(url.searchParams.get("sessionId"));
+    if (!transport) {
+      sendError(res, 404, "No transport found for session ID");
+      return;
+    }
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  const httpServer = createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+      // The transports check the Host header too, but only once a session
+      // exists
+      if (!transportOptions.allowedHosts.includes(req.headers.host?.toLowerCase())) {
+        sendError(res, 403, `Invalid Host header: ${req.headers.host}`);
+        return;
+      }
+
+      if (authToken && !isAuthorized(req, authToken)) {
+        sendError(res, 401, "Unauthorized");
+        return;
+      }
+
+      if (url.pathname === "/mcp") {
+        await handleStreamable(req, res);
+      } else if (url.pathname === "/sse" && req.method === "GET") {
+        await handleSseStream(req, res);
+      } else if (url.pathname === "/messages" && req.method === "POST") {
+        await handleSseMessage(req, res, url);
+      } else {
+        sendError(res, 404, "Not found");
+      }
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        sendError(res, 400, "Parse error", -32700);
+        return;
+      }
+      if (error.status) {
+        sendError(res, error.status, error.message);
+        return;
+      }
+      console.error(
+        `Error handling HTTP request: ${redactSecrets(error.stack || error)}`,
+      );
+      sendError(res, 500, "Internal server error", -32603);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+  const boundPort = httpServer.address().port;
+  transportOptions = {
+    enableDnsRebindingProtection: true,
+    allowedHosts: getAllowedHosts(host, boundPort, allowedHosts),
+  };
+
+  return {
+    port: boundPort,
+    async close() {
+      const transports = [
+        ...streamableTransports.values(),
+        ...sseTransports.values(),
+      ];
+      await Promise.allSettled(transports.map((transport) => transport.close()));
+      httpServer.closeAllConnections();
+      await new Promise((resolve) => httpServer.close(resolve));
+    },
+  };
+}
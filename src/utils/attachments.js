@@ -0,0 +1,197 @@
+import { basename, extname } from "path";
+import { KagiError } from "./errors.js";
+import { getMaxFileBytes, readWorkspaceFile, TEXT_EXTENSIONS } from "./files.js";
+
+/**
+ * Attachments for Kagi Assistant prompts
+ *
+ * Attachments are given as workspace file paths or base64 content. Each one is
+ * checked for size and type before anything is uploaded: the declared or
+ * inferred MIME type must be supported and must match the content.
+ */
+
+export const MAX_ATTACHMENTS = 10;
+
+const IMAGE_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+const DOCUMENT_TYPES = {
+  ".pdf": "application/pdf",
+};
+
+/**
+ * Check the leading bytes of a file against its MIME type
+ * Text types are checked for NUL bytes instead.
+ */
+const SIGNATURES = {
+  "image/png": (data) => data.subarray(0, 8).equals(
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  ),
+  "image/jpeg": (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff,
+  "image/gif": (data) => /^GIF8[79]a/.test(data.subarray(0, 6).toString("latin1")),
+  "image/webp": (data) =>
+    data.subarray(0, 4).toString("latin1") === "RIFF" &&
+    data.subarray(8, 12).toString("latin1") === "WEBP",
+  "application/pdf": (data) => data.subarray(0, 5).toString("latin1") === "%PDF-",
+};
+
+/**
+ * Infer the MIME type of an attachment from its file name
+ * @param {string} name - File name
+ * @returns {string|null} MIME type, or null if the type is not supported
+ */
+function mimeTypeFromName(name) {
+  const extension = extname(name).toLowerCase();
+  if (IMAGE_TYPES[extension]) {
+    return IMAGE_TYPES[extension];
+  }
+  if (DOCUMENT_TYPES[extension]) {
+    return DOCUMENT_TYPES[extension];
+  }
+  if (TEXT_EXTENSIONS.has(extension)) {
+    return "text/plain";
+  }
+  return null;
+}
+
+/**
+ * Whether a MIME type is supported as an attachment
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} True for supported image, PDF and text types
+ */
+function isSupportedType(mimeType) {
+  return Object.hasOwn(SIGNATURES, mimeType) || mimeType.startsWith("text/");
+}
+
+/**
+ * Decode base64 attachment content, rejecting malformed input
+ * @param {string} content - Base64 content, optionally as a data: URL
+ * @param {string} name - Attachment name, for error messages
+ * @returns {{data: Buffer, mimeType: string|null}} Decoded content and data URL type
+ */
+function decodeBase64(content, name) {
+  const match = content.match(/^data:([^;,]+)?(?:;[^,]*)?;base64,/);
+  const base64 = (match ? content.slice(match[0].length) : content).replace(/\s+/g, "");
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 === 1) {
+    throw new KagiError("invalid_input", `Attachment ${name} is not valid base64.`);
+  }
+  return { data: Buffer.from(base64, "base64"), mimeType: match?.[1] || null };
+}
+
+/**
+ * Load and validate one attachment
+ *
+ * @param {Object} attachment - Attachment argument
+ * @param {string} [attachment.file_path] - Workspace file to attach
+ * @param {string} [attachment.content] - Base64 content to attach
+ * @param {string} [attachment.name] - File name shown to the assistant
+ * @param {string} [attachment.mime_type] - MIME type of the content
+ * @returns {Promise<{name: string, mimeType: string, data: Buffer}>} Attachment ready to upload
+ * @throws {Error} If the attachment is missing, too large or of an unsupported type
+ */
+async function loadAttachment({ file_path, content, name, mime_type }) {
+  if (Boolean(file_path) === Boolean(content)) {
+    throw new KagiError("invalid_input", "Each attachment needs exactly one of file_path or content.");
+  }
+
+  let data;
+  let dataUrlType = null;
+  if (file_path) {
+    ({ data } = await readWorkspaceFile(file_path));
+    name = name || basename(file_path);
+  } else {
+    name = name || "attachment";
+    ({ data, mimeType: dataUrlType } = decodeBase64(content, name));
+    const maxBytes = getMaxFileBytes();
+    if (data.length > maxBytes) {
+      throw new KagiError(
+        "invalid_input",
+        `Attachment ${name} is ${data.length} bytes, more than the ${maxBytes} byte limit (KAGI_MAX_FILE_BYTES).`,
+      );
+    }
+  }
+
+  const mimeType = (mime_type || dataUrlType || mimeTypeFromName(name) || "")
+    .toLowerCase();
+  if (!mimeType || !isSupportedType(mimeType)) {
+    throw new KagiError(
+      "invalid_input",
+      `Unsupported attachment type "${mimeType || extname(name) || "(none)"}" for ${name}. Supported: PNG, JPEG, GIF and WebP images, PDF, and text files.`,
+    );
+  }
+  if (data.length === 0) {
+    throw new KagiError("invalid_input", `Attachment ${name} is empty.`);
+  }
+
+  const matchesType = SIGNATURES[mimeType]
+    ? SIGNATURES[mimeType](data)
+    : !data.includes(0);
+  if (!matchesType) {
+    throw new KagiError("invalid_input", `Attachment ${name} does not contain ${mimeType} data.`);
+  }
+
+  if (!extname(name)) {
+    // Name unnamed content after its type, e.g. attachment.png
+    const extension = Object.entries({ ...IMAGE_TYPES, ...DOCUMENT_TYPES })
+      .find(([, type]) => type === mimeType)?.[0] || ".txt";
+    name = `${name}${extension}`;
+  }
+
+  return { name, mimeType, data };
+}
+
+/**
+ * Load and validate prompt attachments
+ *
+ * @param {Array<Object>} attachments - Attachment arguments
+ * @returns {Promise<Array<{name: string, mimeType: string, data: Buffer}>>} Attachments ready to upload
+ * @throws {Error} If any attachment is invalid
+ */
+export async function loadAttachments(attachments) {
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw new KagiError(
+      "invalid_input",
+      `Too many attachments (${attachments.length}). At most ${MAX_ATTACHMENTS} are allowed.`,
+    );
+  }
+
+  const loaded = [];
+  for (const attachment of attachments) {
+    loaded.push(await loadAttachment(attachment));
+  }
+  return loaded;
+}
+
+/**
+ * Find the first image among loaded attachments
+ * @param {Array<Object>} attachments - Attachments from loadAttachments
+ * @returns {Object|undefined} First image attachment
+ */
+export function findImage(attachments) {
+  return attachments.find((attachment) => attachment.mimeType.startsWith("image/"));
+}
+
+/**
+ * Check that a model accepts the images among the attachments
+ *
+ * @param {Array<Object>} attachments - Attachments from loadAttachments
+ * @param {string} model - Model the prompt is sent to
+ * @param {Array<string>|null} visionModels - Models that accept images, or null if unknown
+ * @throws {Error} If there are images and the model is known not to accept them
+ */
+export function checkImageSupport(attachments, model, visionModels) {
+  const image = findImage(attachments);
+  if (image && visionModels && !visionModels.includes(model)) {
+    throw new KagiError(
+      "invalid_input",
+      `Model "${model}" does not accept images (${image.name}). Models that accept images: ${
+        visionModels.join(", ") || "none"
+      }`,
+    );
+  }
+}
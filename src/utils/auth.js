@@ -1,51 +1,270 @@
 import { readFileSync } from "fs";
-import { join } from "path";
-import { homedir } from "os";
+import { z } from "zod";
+import { getConfig } from "./config.js";
+import { KagiError } from "./errors.js";
 
 /**
- * Read token from the default file location
- * @returns {string|null} Token string or null if file doesn't exist
+ * Kagi credentials
+ *
+ * The session token is needed by every tool, the `_kagi_search_` cookie by the
+ * assistant only. The default account reads them from KAGI_SESSION_TOKEN and
+ * KAGI_SEARCH_COOKIE, then from the files in auth.session_token_file and
+ * auth.search_cookie_file. Named accounts (auth.accounts) say which variables
+ * or files hold their credentials, so the config file itself holds no secrets.
+ * Every secret that is read is remembered, so redactSecrets can strip it from
+ * errors and logs.
  */
-export function readTokenFromFile() {
+
+export const DEFAULT_ACCOUNT = "default";
+
+// Stands in for missing credentials when replaying fixtures
+const REPLAY_PLACEHOLDER = "replay";
+
+const CREDENTIALS = {
+  token: {
+    label: "session token",
+    env: "KAGI_SESSION_TOKEN",
+    envKey: "session_token_env",
+    fileKey: "session_token_file",
+  },
+  searchCookie: {
+    label: "search cookie",
+    env: "KAGI_SEARCH_COOKIE",
+    envKey: "search_cookie_env",
+    fileKey: "search_cookie_file",
+  },
+};
+
+/**
+ * Schema of the account parameter shared by the tools that call Kagi
+ */
+export const accountInputSchema = z.string().min(1).optional().describe(
+  "Kagi account to use, as named in auth.accounts of the server config (default: the configured default account).",
+);
+
+const knownSecrets = new Set();
+
+/**
+ * Remember a secret so it is redacted from errors and logs
+ * @param {string} secret - Secret value
+ */
+function rememberSecret(secret) {
+  // Very short values would redact ordinary words
+  if (secret.length >= 8) {
+    knownSecrets.add(secret);
+  }
+}
+
+/**
+ * Normalize a pasted credential
+ * Accepts the bare value, a `name=value` cookie pair, or the Session Link from
+ * the Kagi settings (https://kagi.com/search?token=...).
+ *
+ * @param {string} value - Credential as given
+ * @returns {string|null} Credential value, or null if empty
+ */
+function normalizeSecret(value) {
+  let secret = value.trim();
+  if (/^https?:\/\//i.test(secret)) {
+    try {
+      secret = new URL(secret).searchParams.get("token") || secret;
+    } catch {
+      // Not a URL after all, use it as given
+    }
+  }
+  secret = secret.replace(/^(kagi_session|_kagi_search_)=/, "").trim();
+  return secret || null;
+}
+
+/**
+ * Read a credential file
+ * @param {string} path - File path
+ * @param {string} label - Credential name, for error messages
+ * @returns {string|null} Credential, or null if the file doesn't exist or is empty
+ * @throws {Error} If the file exists but cannot be read
+ */
+function readSecretFile(path, label) {
   try {
-    const tokenPath = join(homedir(), ".kagi_session_token");
-    const token = readFileSync(tokenPath, "utf8").trim();
-    return token || null;
+    return normalizeSecret(readFileSync(path, "utf8"));
   } catch (error) {
     if (error.code === "ENOENT") {
       return null;
     }
-    throw new Error(`Failed to read token file: ${error.message}`);
+    throw new KagiError(
+      "missing_config",
+      `Failed to read ${label} file ${path}: ${error.code || error.message}`,
+      { hint: "Check that the file is readable by the user running the server." },
+    );
   }
 }
 
 /**
- * Resolve token from multiple sources in priority order:
- * 1. Environment variable KAGI_SESSION_TOKEN
- * 2. Token file ~/.kagi_session_token
- *
- * @returns {string} The resolved token
- * @throws {Error} If no token is found or invalid
+ * Read token from the default file location
+ * @returns {string|null} Token string or null if file doesn't exist
+ */
+export function readTokenFromFile() {
+  const token = readSecretFile(
+    getConfig().auth.session_token_file,
+    CREDENTIALS.token.label,
+  );
+  if (token) {
+    rememberSecret(token);
+  }
+  return token;
+}
+
+/**
+ * List the configured accounts
+ * @returns {Array<string>} Account names, the default account first
  */
-export function resolveToken() {
-  // First try environment variable (for compatibility)
-  const envToken = process.env.KAGI_SESSION_TOKEN;
-  if (envToken && isValidTokenFormat(envToken)) {
-    return envToken.trim();
+export function listAccounts() {
+  return [DEFAULT_ACCOUNT, ...Object.keys(getConfig().auth.accounts)];
+}
+
+/**
+ * Resolve which account to use
+ * @param {string} [account] - Requested account (default: auth.default_account, KAGI_ACCOUNT)
+ * @returns {string} Account name
+ * @throws {KagiError} If the account is not configured
+ */
+export function resolveAccountName(account) {
+  const { accounts, default_account } = getConfig().auth;
+  const name = account || default_account || DEFAULT_ACCOUNT;
+  if (name !== DEFAULT_ACCOUNT && !Object.hasOwn(accounts, name)) {
+    throw new KagiError(
+      "invalid_input",
+      `Unknown Kagi account "${name}". Configured accounts: ${listAccounts().join(", ")}`,
+    );
   }
+  return name;
+}
 
-  // Then try file
-  const fileToken = readTokenFromFile();
-  if (fileToken && isValidTokenFormat(fileToken)) {
-    return fileToken;
+/**
+ * Get the places a credential of an account is read from, in priority order
+ * @param {string} account - Account name
+ * @param {string} kind - Credential kind ("token" or "searchCookie")
+ * @returns {Array<{env?: string, file?: string}>} Credential sources
+ */
+function getCredentialSources(account, kind) {
+  const { env, envKey, fileKey } = CREDENTIALS[kind];
+  const auth = getConfig().auth;
+  const settings = account === DEFAULT_ACCOUNT
+    ? { [envKey]: env, [fileKey]: auth[fileKey] }
+    : auth.accounts[account];
+
+  return [
+    settings[envKey] && { env: settings[envKey] },
+    settings[fileKey] && { file: settings[fileKey] },
+  ].filter(Boolean);
+}
+
+/**
+ * Find a credential of an account
+ * The source describes where the credential came from without revealing it.
+ *
+ * @param {string} account - Account name
+ * @param {string} kind - Credential kind ("token" or "searchCookie")
+ * @returns {{value: string|null, source: string|null, error: string|null}} Credential and its source
+ */
+export function findCredential(account, kind) {
+  for (const { env, file } of getCredentialSources(account, kind)) {
+    let value = null;
+    try {
+      value = env
+        ? normalizeSecret(process.env[env] || "")
+        : readSecretFile(file, CREDENTIALS[kind].label);
+    } catch (error) {
+      return { value: null, source: `file ${file}`, error: error.message };
+    }
+    if (value) {
+      rememberSecret(value);
+      return {
+        value,
+        source: env ? `environment variable ${env}` : `file ${file}`,
+        error: null,
+      };
+    }
   }
+  return { value: null, source: null, error: null };
+}
 
-  throw new Error(
-    "No valid Kagi session token found. Please either:\n" +
-      "1. Set KAGI_SESSION_TOKEN environment variable, or\n" +
-      "2. Save your token to ~/.kagi_session_token file\n\n" +
-      "Get your token from: https://kagi.com/settings?p=api",
+/**
+ * Describe where a missing credential can be set
+ * @param {string} account - Account name
+ * @param {string} kind - Credential kind ("token" or "searchCookie")
+ * @returns {string} Hint listing the credential sources
+ */
+function describeMissing(account, kind) {
+  const places = getCredentialSources(account, kind).map(({ env, file }) =>
+    env ? `set ${env}` : `save it to ${file}`
   );
+  const setting = account === DEFAULT_ACCOUNT
+    ? ""
+    : ` (auth.accounts.${account} in the config file)`;
+  return `No Kagi ${CREDENTIALS[kind].label} found for account "${account}"${setting}. ${
+    places.length > 0
+      ? `Please ${places.join(" or ")}.`
+      : `Add ${CREDENTIALS[kind].envKey} or ${CREDENTIALS[kind].fileKey} to the account.`
+  }`;
+}
+
+/**
+ * Resolve the credentials of an account
+ *
+ * @param {string} [account] - Account name (default: auth.default_account, KAGI_ACCOUNT)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.searchCookie] - Whether the search cookie is required
+ * @returns {{account: string, token: string, searchCookie: string|null}} Credentials
+ * @throws {KagiError} If the account is unknown or a required credential is missing
+ */
+export function resolveCredentials(account, { searchCookie = false } = {}) {
+  const name = resolveAccountName(account);
+
+  // Replayed calls never reach Kagi, so offline runs need no credentials
+  if (getConfig().fixtures.mode === "replay") {
+    return {
+      account: name,
+      token: findCredential(name, "token").value || REPLAY_PLACEHOLDER,
+      searchCookie: findCredential(name, "searchCookie").value || REPLAY_PLACEHOLDER,
+    };
+  }
+
+  const token = findCredential(name, "token");
+  if (token.error) {
+    throw new KagiError("missing_config", token.error);
+  }
+  if (!token.value) {
+    throw new KagiError("missing_config", describeMissing(name, "token"), {
+      hint: "Get your token from the Session Link at: https://kagi.com/settings/user_details",
+    });
+  }
+
+  const cookie = findCredential(name, "searchCookie");
+  if (searchCookie && (cookie.error || !cookie.value)) {
+    throw new KagiError(
+      "missing_config",
+      cookie.error || describeMissing(name, "searchCookie"),
+      {
+        hint: "Copy the _kagi_search_ cookie from your browser's developer tools while signed in to kagi.com.",
+      },
+    );
+  }
+
+  return { account: name, token: token.value, searchCookie: cookie.value };
+}
+
+/**
+ * Resolve token from multiple sources in priority order:
+ * 1. Environment variable KAGI_SESSION_TOKEN
+ * 2. Token file auth.session_token_file (default: ~/.kagi_session_token)
+ * Named accounts use the sources configured for them.
+ *
+ * @param {string} [account] - Account name (default: auth.default_account, KAGI_ACCOUNT)
+ * @returns {string} The resolved token
+ * @throws {Error} If no token is found or invalid
+ */
+export function resolveToken(account) {
+  return resolveCredentials(account).token;
 }
 
 /**
@@ -56,3 +275,35 @@ export function resolveToken() {
 export function isValidTokenFormat(token) {
   return typeof token === "string" && token.trim().length > 0;
 }
+
+/**
+ * Build the cookie header for requests to Kagi
+ * @param {Object} credentials - Credentials
+ * @param {string} credentials.token - Session token
+ * @param {string} [credentials.searchCookie] - `_kagi_search_` cookie
+ * @returns {string} Cookie header value
+ */
+export function buildCookieHeader({ token, searchCookie }) {
+  return searchCookie
+    ? `kagi_session=${token}; _kagi_search_=${searchCookie}`
+    : `kagi_session=${token}`;
+}
+
+/**
+ * Remove credentials from text shown to clients or written to logs
+ * @param {string} text - Text that may contain credentials
+ * @returns {string} Text with credentials replaced by [redacted]
+ */
+export function redactSecrets(text) {
+  let redacted = String(text);
+  const secrets = [...knownSecrets, process.env.KAGI_MCP_AUTH_TOKEN]
+    .filter(Boolean);
+  for (const secret of secrets) {
+    redacted = redacted.replaceAll(secret, "[redacted]");
+  }
+  // Credentials that were never read here, e.g. echoed back in a URL
+  return redacted.replace(
+    /\b(kagi_session|_kagi_search_|token)=[^\s;&"']+/g,
+    "$1=[redacted]",
+  );
+}
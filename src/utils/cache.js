@@ -0,0 +1,187 @@
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { getConfig } from "./config.js";
+
+/**
+ * Result cache shared by the search and summarizer tools
+ *
+ * An in-memory LRU with a TTL per entry. When KAGI_CACHE_FILE is set, entries
+ * are also persisted to that file so they survive restarts.
+ */
+
+const SAVE_DELAY_MS = 1000;
+
+export class ResultCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlMs - Time to live per entry in milliseconds (0 disables caching)
+   * @param {number} options.maxEntries - Maximum number of entries kept in memory
+   * @param {string} [options.filePath] - File to persist entries to
+   */
+  constructor({ ttlMs, maxEntries, filePath }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.saveTimer = null;
+    this.load();
+  }
+
+  /**
+   * Whether caching is enabled
+   * @returns {boolean} True if entries are kept
+   */
+  get enabled() {
+    return this.ttlMs > 0 && this.maxEntries > 0;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {{value: *, storedAt: number}|null} Entry or null on miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.scheduleSave();
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return { value: entry.value, storedAt: entry.storedAt };
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   */
+  set(key, value) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: now, expiresAt: now + this.ttlMs });
+
+    // Evict least recently used entries
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Load persisted entries, dropping expired ones
+   */
+  load() {
+    if (!this.filePath || !this.enabled) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Failed to read cache file: ${error.message}`);
+      }
+      return;
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of data.entries || []) {
+      if (entry.expiresAt > now) {
+        this.entries.set(key, entry);
+      }
+    }
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Persist entries soon, batching writes from bursts of calls
+   */
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write entries to the cache file atomically
+   */
+  save() {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      mkdirSync(dirname(this.filePath), { recursive: true });
+      writeFileSync(
+        tmpPath,
+        JSON.stringify({ entries: [...this.entries] }),
+        { mode: 0o600 },
+      );
+      renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.warn(`Failed to write cache file: ${error.message}`);
+    }
+  }
+}
+
+let sharedCache = null;
+
+/**
+ * Get the shared result cache, configured from the cache settings:
+ * - ttl (KAGI_CACHE_TTL): Seconds to keep results (default: 3600, 0 disables caching)
+ * - max_entries (KAGI_CACHE_MAX_ENTRIES): Maximum cached results (default: 500)
+ * - file (KAGI_CACHE_FILE): File to persist the cache to (default: memory only)
+ *
+ * @returns {ResultCache} Shared cache
+ */
+export function getResultCache() {
+  if (!sharedCache) {
+    const { ttl, max_entries, file } = getConfig().cache;
+    sharedCache = new ResultCache({
+      ttlMs: ttl * 1000,
+      maxEntries: max_entries,
+      filePath: file,
+    });
+  }
+  return sharedCache;
+}
+
+/**
+ * Normalize a search query for use in a cache key
+ * @param {string} query - Search query
+ * @returns {string} Normalized query
+ */
+export function normalizeQuery(query) {
+  return query.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Normalize a URL for use in a cache key
+ * @param {string} url - URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url.trim());
+    parsed.hash = "";
+    return parsed.toString();
+  } catch {
+    return url.trim();
+  }
+}
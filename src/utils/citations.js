@@ -0,0 +1,169 @@
+import { parseDocument } from "htmlparser2";
+import { textContent } from "./html.js";
+
+/**
+ * Web sources cited by Kagi Assistant replies
+ *
+ * Kagi attaches the references of a reply to the message JSON, as a list,
+ * as Markdown footnotes (`[^1]: [Title](url)`) or as an HTML list, and marks
+ * citations in the reply with numbered links. Sources are numbered in the
+ * order Kagi lists them, so the reply's own markers stay valid.
+ */
+
+/**
+ * Collect anchors from an HTML fragment
+ * @param {string} html - HTML source
+ * @returns {Array<{title: string, url: string}>} Links in document order
+ */
+function collectLinks(html) {
+  const links = [];
+  const visit = (node) => {
+    if (node.type === "tag" && node.name === "a" && node.attribs.href) {
+      links.push({
+        title: textContent(node).replace(/\s+/g, " ").trim(),
+        url: node.attribs.href.trim(),
+      });
+      return;
+    }
+    for (const child of node.children || []) {
+      visit(child);
+    }
+  };
+  visit(parseDocument(html));
+  return links;
+}
+
+/**
+ * Parse Markdown references, e.g. `[^1]: [Title](https://...)` or
+ * `1. [Title](https://...)`
+ * @param {string} markdown - Markdown references
+ * @returns {Array<{title: string, url: string, number?: number}>} References
+ */
+function parseMarkdownReferences(markdown) {
+  const references = [];
+  const pattern = /^\s*(?:\[\^?(\d+)\]:|(\d+)[.)])?\s*\[([^\]]*)\]\(([^)\s]+)[^)]*\)/gm;
+  for (const match of markdown.matchAll(pattern)) {
+    const number = Number(match[1] || match[2]) || undefined;
+    references.push({ title: match[3].trim(), url: match[4], number });
+  }
+  return references;
+}
+
+/**
+ * Whether a string is an http(s) URL
+ * @param {string} url - Candidate URL
+ * @returns {boolean} True for http and https URLs
+ */
+function isWebUrl(url) {
+  return /^https?:\/\//i.test(url || "");
+}
+
+/**
+ * Extract the web sources referenced by an assistant message
+ *
+ * @param {Object} messageData - Message JSON from the assistant stream
+ * @returns {Array<{number: number, title: string, url: string}>} Numbered sources
+ */
+export function extractSources(messageData) {
+  let references = [];
+
+  if (Array.isArray(messageData.references)) {
+    references = messageData.references.map((reference) => ({
+      title: reference.title || reference.name || "",
+      url: reference.url || reference.link || "",
+      number: Number(reference.number || reference.index) || undefined,
+    }));
+  } else if (typeof messageData.references_md === "string") {
+    references = parseMarkdownReferences(messageData.references_md);
+  } else if (typeof messageData.references_html === "string") {
+    references = collectLinks(messageData.references_html);
+  }
+
+  const sources = [];
+  const seen = new Set();
+  for (const reference of references) {
+    if (!isWebUrl(reference.url) || seen.has(reference.url)) {
+      continue;
+    }
+    seen.add(reference.url);
+    sources.push({
+      number: reference.number || sources.length + 1,
+      title: reference.title || reference.url,
+      url: reference.url,
+    });
+  }
+  return sources;
+}
+
+/**
+ * Create a lookup from cited URLs to source numbers
+ * URLs of unmistakable citation markers that are missing from the references
+ * are added as new sources, so every marker in the output has a matching
+ * entry.
+ *
+ * @param {Array<Object>} sources - Sources from extractSources, extended in place
+ * @returns {Function} Maps an href, and whether an unknown one may be added
+ *   ({add}), to its source number, or null if not a web URL or not a source
+ */
+export function createCitationIndex(sources) {
+  const numbers = new Map(sources.map((source) => [source.url, source.number]));
+  return (href, { add = true } = {}) => {
+    if (!isWebUrl(href) || (!add && !numbers.has(href))) {
+      return null;
+    }
+    if (!numbers.has(href)) {
+      const number = Math.max(0, ...numbers.values()) + 1;
+      numbers.set(href, number);
+      sources.push({ number, title: href, url: href });
+    }
+    return numbers.get(href);
+  };
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Format sources as a numbered section
+ * @param {Array<Object>} sources - Numbered sources
+ * @param {string} format - Output format (html|markdown|plain)
+ * @returns {string} Sources section, or an empty string if there are none
+ */
+export function formatSources(sources, format) {
+  if (sources.length === 0) {
+    return "";
+  }
+
+  const sorted = [...sources].sort((a, b) => a.number - b.number);
+  switch (format) {
+    case "html":
+      return `<h3>Sources</h3><ol>${
+        sorted.map((source) =>
+          `<li value="${source.number}"><a href="${escapeHtml(source.url)}">${
+            escapeHtml(source.title)
+          }</a></li>`
+        ).join("")
+      }</ol>`;
+    case "plain":
+      return `Sources:\n${
+        sorted.map((source) =>
+          `[${source.number}] ${source.title} (${source.url})`
+        ).join("\n")
+      }`;
+    default:
+      return `Sources:\n${
+        sorted.map((source) =>
+          `${source.number}. [${
+            source.title.replace(/[[\]]/g, "\\$&")
+          }](${source.url})`
+        ).join("\n")
+      }`;
+  }
+}
@@ -0,0 +1,424 @@
+import { existsSync, readFileSync } from "fs";
+import { delimiter, extname, join, resolve } from "path";
+import { homedir } from "os";
+import { z } from "zod";
+
+/**
+ * Server configuration
+ *
+ * Settings come from a JSON or TOML config file and from environment
+ * variables, which override the file. The file is KAGI_MCP_CONFIG (or the
+ * --config flag), by default config.json or config.toml in
+ * ~/.config/kagi-mcp. The merged configuration is validated once at startup.
+ */
+
+/**
+ * Schema of a named assistant preset
+ */
+export const presetSchema = z.object({
+  description: z.string().optional(),
+  profile_id: z.string().min(1).optional(),
+  lens_id: z.string().min(1).optional(),
+  personalizations: z.boolean().optional(),
+  model: z.string().min(1).optional(),
+  internet_access: z.boolean().optional(),
+}).strict();
+
+const toolSchema = z.object({
+  enabled: z.boolean().default(true),
+  name: z.string().regex(
+    /^[A-Za-z0-9_.-]{1,64}$/,
+    "Tool names may only contain letters, digits, '_', '-' and '.' (at most 64)",
+  ).optional(),
+  description: z.string().min(1).optional(),
+  defaults: z.record(z.string(), z.unknown()).default({}),
+}).strict();
+
+const promptSchema = z.object({
+  enabled: z.boolean().default(true),
+  title: z.string().min(1).optional(),
+  description: z.string().min(1).optional(),
+  arguments: z.array(z.object({
+    name: z.string().regex(
+      /^[A-Za-z0-9_]+$/,
+      "Argument names may only contain letters, digits and '_'",
+    ),
+    description: z.string().optional(),
+    required: z.boolean().default(true),
+  }).strict()).default([]),
+  template: z.string().min(1).optional(),
+}).strict();
+
+const accountSchema = z.object({
+  session_token_env: z.string().min(1).optional(),
+  session_token_file: z.string().min(1).optional(),
+  search_cookie_env: z.string().min(1).optional(),
+  search_cookie_file: z.string().min(1).optional(),
+}).strict().refine(
+  (account) => account.session_token_env || account.session_token_file,
+  "An account needs session_token_env or session_token_file",
+);
+
+const positiveInt = z.coerce.number().int().positive();
+const nonNegative = z.coerce.number().min(0);
+const modelList = z.array(z.string().min(1)).min(1);
+const httpUrl = z.string().url().refine(
+  (url) => /^https?:\/\//i.test(url),
+  "Must be an http:// or https:// URL",
+);
+
+const configSchema = z.object({
+  server: z.object({
+    transport: z.enum(["stdio", "http"]).default("stdio"),
+    host: z.string().min(1).default("127.0.0.1"),
+    port: z.coerce.number().int().min(0).max(65535).default(3000),
+    allowed_hosts: z.array(z.string().min(1)).default([]),
+  }).strict().default({}),
+  tools: z.record(z.string(), toolSchema).default({}),
+  prompts: z.record(
+    z.string().regex(
+      /^[A-Za-z0-9_.-]{1,64}$/,
+      "Prompt names may only contain letters, digits, '_', '-' and '.' (at most 64)",
+    ),
+    promptSchema,
+  ).default({}),
+  timeouts: z.object({
+    search_ms: positiveInt.default(10000),
+    summarizer_ms: positiveInt.optional(),
+    assistant_ms: positiveInt.optional(),
+    model_discovery_ms: positiveInt.default(10000),
+    auth_check_ms: positiveInt.default(10000),
+    fetch_page_ms: positiveInt.default(15000),
+    quick_answer_ms: positiveInt.default(30000),
+  }).strict().default({}),
+  http: z.object({
+    retries: z.coerce.number().int().min(0).default(2),
+    retry_base_ms: positiveInt.default(500),
+    retry_max_ms: positiveInt.default(30000),
+    rate_limit: nonNegative.default(5),
+    burst: positiveInt.optional(),
+    base_url: httpUrl.default("https://kagi.com"),
+    proxy: httpUrl.optional(),
+    no_proxy: z.string().optional(),
+    ca_file: z.string().min(1).optional(),
+  }).strict().default({}),
+  fixtures: z.object({
+    mode: z.enum(["off", "record", "replay"]).default("off"),
+    dir: z.string().min(1).default("kagi-fixtures"),
+  }).strict().default({}),
+  auth: z.object({
+    default_account: z.string().min(1).optional(),
+    session_token_file: z.string().min(1).default(
+      join(homedir(), ".kagi_session_token"),
+    ),
+    search_cookie_file: z.string().min(1).default(
+      join(homedir(), ".kagi_search_cookie"),
+    ),
+    accounts: z.record(
+      z.string().regex(/^[A-Za-z0-9_.-]+$/).refine(
+        (name) => name !== "default",
+        "\"default\" is the account of KAGI_SESSION_TOKEN and KAGI_SEARCH_COOKIE",
+      ),
+      accountSchema,
+    ).default({}),
+  }).strict().superRefine((auth, ctx) => {
+    const name = auth.default_account;
+    if (name && name !== "default" && !Object.hasOwn(auth.accounts, name)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["default_account"],
+        message: `Unknown account "${name}"`,
+      });
+    }
+  }).default({}),
+  assistant: z.object({
+    models: modelList.optional(),
+    default_model: z.string().min(1).optional(),
+    vision_models: z.array(z.string().min(1)).optional(),
+    models_ttl: nonNegative.default(6 * 3600),
+    conversations_file: z.string().min(1).default(
+      join(homedir(), ".kagi_mcp_conversations.json"),
+    ),
+    max_conversations: positiveInt.default(100),
+    conversations_ttl: nonNegative.default(90 * 86400),
+    presets: z.record(z.string(), presetSchema).default({}),
+    presets_file: z.string().min(1).optional(),
+  }).strict().default({}),
+  summarizer: z.object({
+    engine: z.string().min(1).default("default"),
+    concurrency: positiveInt.default(3),
+  }).strict().default({}),
+  cache: z.object({
+    ttl: nonNegative.default(3600),
+    max_entries: z.coerce.number().int().min(0).default(500),
+    file: z.string().min(1).optional(),
+  }).strict().default({}),
+  fetch_page: z.object({
+    max_bytes: positiveInt.default(5 * 1024 * 1024),
+    allowed_hosts: z.array(z.string().min(1).transform((host) => host.toLowerCase()))
+      .default([]),
+  }).strict().default({}),
+  files: z.object({
+    roots: z.array(z.string().min(1)).min(1).optional(),
+    max_bytes: positiveInt.default(10 * 1024 * 1024),
+  }).strict().default({}),
+}).strict();
+
+/**
+ * Split a comma-separated environment value
+ * @param {string} value - Environment value
+ * @returns {Array<string>} Non-empty items
+ */
+function splitList(value) {
+  return value.split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a JSON environment value
+ * @param {string} value - Environment value
+ * @param {string} name - Variable name, for error messages
+ * @returns {*} Parsed value
+ */
+function parseJson(value, name) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Environment variables and the config settings they override
+ */
+const ENV_SETTINGS = [
+  ["KAGI_MCP_TRANSPORT", ["server", "transport"]],
+  ["KAGI_MCP_HOST", ["server", "host"]],
+  ["KAGI_MCP_PORT", ["server", "port"]],
+  ["KAGI_MCP_ALLOWED_HOSTS", ["server", "allowed_hosts"], splitList],
+  ["KAGI_ACCOUNT", ["auth", "default_account"]],
+  ["KAGI_SESSION_TOKEN_FILE", ["auth", "session_token_file"]],
+  ["KAGI_SEARCH_COOKIE_FILE", ["auth", "search_cookie_file"]],
+  ["KAGI_HTTP_RETRIES", ["http", "retries"]],
+  ["KAGI_RATE_LIMIT", ["http", "rate_limit"]],
+  ["KAGI_BASE_URL", ["http", "base_url"]],
+  ["KAGI_CA_FILE", ["http", "ca_file"]],
+  ["KAGI_FIXTURES", ["fixtures", "mode"]],
+  ["KAGI_FIXTURES_DIR", ["fixtures", "dir"]],
+  ["KAGI_MODEL_LIST", ["assistant", "models"], splitList],
+  ["KAGI_DEFAULT_MODEL", ["assistant", "default_model"]],
+  ["KAGI_VISION_MODELS", ["assistant", "vision_models"], splitList],
+  ["KAGI_MODELS_TTL", ["assistant", "models_ttl"]],
+  ["KAGI_CONVERSATIONS_FILE", ["assistant", "conversations_file"]],
+  ["KAGI_MAX_CONVERSATIONS", ["assistant", "max_conversations"]],
+  ["KAGI_CONVERSATIONS_TTL", ["assistant", "conversations_ttl"]],
+  ["KAGI_ASSISTANT_PRESETS", ["assistant", "presets"], parseJson],
+  ["KAGI_ASSISTANT_PRESETS_FILE", ["assistant", "presets_file"]],
+  ["KAGI_SUMMARIZER_ENGINE", ["summarizer", "engine"]],
+  ["KAGI_SUMMARIZER_CONCURRENCY", ["summarizer", "concurrency"]],
+  ["KAGI_CACHE_TTL", ["cache", "ttl"]],
+  ["KAGI_CACHE_MAX_ENTRIES", ["cache", "max_entries"]],
+  ["KAGI_CACHE_FILE", ["cache", "file"]],
+  ["KAGI_FETCH_ALLOWED_HOSTS", ["fetch_page", "allowed_hosts"], splitList],
+  ["KAGI_FILE_ROOTS", ["files", "roots"], (value) =>
+    value.split(delimiter).filter(Boolean)],
+  ["KAGI_MAX_FILE_BYTES", ["files", "max_bytes"]],
+];
+
+/**
+ * Find the config file to read
+ * @param {string} [path] - Path from the --config flag
+ * @returns {string|null} Config file path, or null if there is none
+ */
+export function getConfigPath(path) {
+  const explicit = path || process.env.KAGI_MCP_CONFIG;
+  if (explicit) {
+    return resolve(explicit);
+  }
+
+  const dir = join(
+    process.env.XDG_CONFIG_HOME || join(homedir(), ".config"),
+    "kagi-mcp",
+  );
+  for (const name of ["config.json", "config.toml"]) {
+    if (existsSync(join(dir, name))) {
+      return join(dir, name);
+    }
+  }
+  return null;
+}
+
+/**
+ * Read and parse the config file
+ * @param {string} path - Config file path
+ * @returns {Promise<Object>} Raw config data
+ * @throws {Error} If the file cannot be read or parsed
+ */
+async function readConfigFile(path) {
+  let text;
+  try {
+    text = readFileSync(path, "utf8");
+  } catch (error) {
+    throw new Error(`Failed to read config file ${path}: ${error.message}`);
+  }
+
+  try {
+    if (extname(path).toLowerCase() === ".toml") {
+      // Loaded on demand, only TOML configs need the parser
+      const { parse } = await import("smol-toml");
+      return parse(text);
+    }
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse config file ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Apply environment overrides to raw config data
+ * Presets from the environment are merged with those from the file.
+ *
+ * @param {Object} data - Raw config data
+ * @returns {{data: Object, sources: Map<string, string>}} Merged data, and the variable behind each overridden setting
+ */
+function applyEnvironment(data) {
+  const merged = structuredClone(data);
+  const sources = new Map();
+
+  for (const [name, path, parse] of ENV_SETTINGS) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === "") {
+      continue;
+    }
+
+    const value = parse ? parse(raw, name) : raw;
+    const [section, key] = path;
+    if (typeof merged[section] !== "object" || merged[section] === null) {
+      merged[section] = {};
+    }
+    merged[section][key] = key === "presets" && typeof value === "object"
+      ? { ...merged[section][key], ...value }
+      : value;
+    sources.set(path.join("."), name);
+  }
+
+  return { data: merged, sources };
+}
+
+/**
+ * Describe a validation issue with the setting and its source
+ * @param {Object} issue - Zod issue
+ * @param {Map<string, string>} sources - Environment variable per setting
+ * @param {string|null} path - Config file path
+ * @returns {string} Description
+ */
+function describeIssue(issue, sources, path) {
+  const setting = issue.path.join(".") || "(root)";
+  const envName = [...sources].find(([key]) =>
+    setting === key || setting.startsWith(`${key}.`)
+  )?.[1];
+  const source = envName || path || "defaults";
+  return `${setting}: ${issue.message} (from ${source})`;
+}
+
+let currentConfig = null;
+
+/**
+ * Load, merge and validate the configuration
+ *
+ * @param {Object} [options] - Options
+ * @param {string} [options.path] - Config file path (overrides KAGI_MCP_CONFIG)
+ * @returns {Promise<Object>} Validated configuration
+ * @throws {Error} If the configuration is invalid, listing every problem
+ */
+export async function loadConfig({ path } = {}) {
+  const configPath = getConfigPath(path);
+  const fileData = configPath ? await readConfigFile(configPath) : {};
+  if (typeof fileData !== "object" || fileData === null || Array.isArray(fileData)) {
+    throw new Error(`Config file ${configPath} must contain an object`);
+  }
+
+  const { data, sources } = applyEnvironment(fileData);
+  const result = configSchema.safeParse(data);
+  if (!result.success) {
+    const problems = result.error.issues.map((issue) =>
+      `- ${describeIssue(issue, sources, configPath)}`
+    );
+    throw new Error(`Invalid configuration:\n${problems.join("\n")}`);
+  }
+
+  currentConfig = { ...result.data, path: configPath };
+  return currentConfig;
+}
+
+/**
+ * Get the loaded configuration
+ * Outside the server (e.g. when a tool module is used on its own), the
+ * configuration is built from the environment and defaults only.
+ *
+ * @returns {Object} Validated configuration
+ */
+export function getConfig() {
+  if (!currentConfig) {
+    const { data } = applyEnvironment({});
+    currentConfig = { ...configSchema.parse(data), path: null };
+  }
+  return currentConfig;
+}
+
+/**
+ * Get the configuration of a tool
+ * @param {string} name - Default name of the tool
+ * @returns {{enabled: boolean, name?: string, description?: string, defaults: Object}} Tool configuration
+ */
+export function getToolConfig(name) {
+  return getConfig().tools[name] || { enabled: true, defaults: {} };
+}
+
+/**
+ * Get the name a tool is registered under
+ * @param {string} name - Default name of the tool
+ * @returns {string} Configured name, or the default name
+ */
+export function getToolName(name) {
+  return getToolConfig(name).name || name;
+}
+
+/**
+ * Apply configured parameter defaults to a tool input schema
+ * Each default is checked against the parameter's schema.
+ *
+ * @param {string} toolName - Tool name, for error messages
+ * @param {Object} inputSchema - Tool input schema (zod shape)
+ * @param {Object} defaults - Default values by parameter name
+ * @returns {Object} Input schema with the defaults applied
+ * @throws {Error} If a default names an unknown parameter or has an invalid value
+ */
+export function applyToolDefaults(toolName, inputSchema, defaults) {
+  const schema = { ...inputSchema };
+
+  for (const [key, value] of Object.entries(defaults)) {
+    const field = inputSchema[key];
+    if (!field) {
+      throw new Error(
+        `Invalid configuration: tools.${toolName}.defaults.${key}: ${toolName} has no parameter "${key}"`,
+      );
+    }
+
+    const base = field instanceof z.ZodDefault ? field.removeDefault() : field;
+    const result = base.safeParse(value);
+    if (!result.success) {
+      throw new Error(
+        `Invalid configuration: tools.${toolName}.defaults.${key}: ${
+          result.error.issues[0].message
+        }`,
+      );
+    }
+
+    schema[key] = base.default(value).describe(
+      `${field.description || ""} Configured default: ${JSON.stringify(value)}.`
+        .trim(),
+    );
+  }
+
+  return schema;
+}
@@ -0,0 +1,463 @@
+import { readFileSync, writeFileSync, renameSync, mkdirSync, statSync } from "fs";
+import { dirname } from "path";
+import { v4 as uuidv4 } from "uuid";
+import { getConfig } from "./config.js";
+import { KagiError } from "./errors.js";
+
+/**
+ * Persistent registry of Kagi Assistant conversations
+ *
+ * Each conversation maps a caller-facing id to the Kagi thread it continues,
+ * so several agents can share one server without clobbering each other's
+ * thread, and conversations survive restarts.
+ *
+ * Conversations also keep the messages of the branch they follow, so earlier
+ * prompts can be edited or regenerated and conversations forked from any
+ * message. A fork shares the Kagi thread of its source; its first prompt
+ * replaces the message after the fork point, which starts a new branch. A
+ * fork needs such a message, so conversations cannot be forked after their
+ * last message: the fork's prompts would land on its source's branch.
+ *
+ * The registry only stores what threading needs: ids, models, prompts and
+ * times. Replies stay with the Kagi thread; the most recent ones are held in
+ * memory for transcripts until the server restarts. Each write drops
+ * conversations unused for longer than assistant.conversations_ttl
+ * (KAGI_CONVERSATIONS_TTL) and the least recently used ones beyond
+ * assistant.max_conversations (KAGI_MAX_CONVERSATIONS). The parsed registry
+ * is reused until the file changes.
+ */
+
+export const MAX_KEPT_REPLIES = 200;
+
+const changeListeners = new Set();
+const replies = new Map();
+let registryCache = null;
+
+/**
+ * Conversation ids the tools accept. Ids become keys of the registry and
+ * parts of resource URIs, so they are kept to plain names.
+ */
+export const CONVERSATION_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * Subscribe to changes of the registry
+ * @param {Function} listener - Called after the registry is written
+ * @returns {Function} Unsubscribes the listener
+ */
+export function onConversationsChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+const REGISTRY_HINT = {
+  hint: "Check that KAGI_CONVERSATIONS_FILE (assistant.conversations_file in the config file) names a readable and writable file.",
+};
+
+/**
+ * Get the path of the conversation registry file
+ * @returns {string} Registry file path
+ */
+export function getRegistryPath() {
+  return getConfig().assistant.conversations_file;
+}
+
+/**
+ * Identify the current version of the registry file
+ * @param {string} registryPath - Registry file path
+ * @returns {string|null} Modification time and size, or null if there is no file
+ */
+function fileStamp(registryPath) {
+  try {
+    const info = statSync(registryPath);
+    return `${info.mtimeMs}:${info.size}`;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw new KagiError(
+      "missing_config",
+      `Failed to read conversation registry: ${error.message}`,
+      REGISTRY_HINT,
+    );
+  }
+}
+
+/**
+ * Read the registry from disk, or from the cache while the file is unchanged
+ * Conversations are kept in an object without a prototype, so ids such as
+ * "__proto__" or "constructor" are looked up as plain keys. Callers get their
+ * own copy of each conversation to change.
+ *
+ * @returns {{current: string|null, conversations: Object<string, Object>}} Registry data
+ */
+function readRegistry() {
+  const registryPath = getRegistryPath();
+  const stamp = fileStamp(registryPath);
+  if (registryCache?.path !== registryPath || registryCache.stamp !== stamp) {
+    let data = {};
+    if (stamp) {
+      try {
+        data = JSON.parse(readFileSync(registryPath, "utf8"));
+      } catch (error) {
+        throw new KagiError(
+          "missing_config",
+          `Failed to read conversation registry: ${error.message}`,
+          REGISTRY_HINT,
+        );
+      }
+    }
+    registryCache = { path: registryPath, stamp, data };
+  }
+
+  const { data } = registryCache;
+  const conversations = Object.create(null);
+  for (const [id, conversation] of Object.entries(data.conversations || {})) {
+    conversations[id] = { ...conversation };
+  }
+  return { current: data.current || null, conversations };
+}
+
+/**
+ * Drop conversations beyond the age and count limits
+ * Also drops replies that earlier versions stored with the messages.
+ *
+ * @param {Object} registry - Registry data
+ * @param {number} now - Current time in milliseconds
+ */
+function pruneRegistry(registry, now) {
+  const { max_conversations, conversations_ttl } = getConfig().assistant;
+  const byLastUse = Object.entries(registry.conversations)
+    .sort(([, a], [, b]) => (b.lastUsedAt || "").localeCompare(a.lastUsedAt || ""));
+
+  byLastUse.forEach(([key, conversation], i) => {
+    const age = now - Date.parse(conversation.lastUsedAt);
+    if (i >= max_conversations || (conversations_ttl > 0 && age > conversations_ttl * 1000)) {
+      delete registry.conversations[key];
+    } else if (conversation.messages) {
+      conversation.messages = conversation.messages.map(
+        ({ id, prompt, model, createdAt }) => ({ id, prompt, model, createdAt }),
+      );
+    }
+  });
+
+  if (!findEntry(registry, registry.current)) {
+    registry.current = null;
+  }
+}
+
+/**
+ * Write the registry to disk atomically, after pruning it
+ * @param {Object} registry - Registry data
+ */
+function writeRegistry(registry) {
+  pruneRegistry(registry, Date.now());
+  const registryPath = getRegistryPath();
+  const tmpPath = `${registryPath}.${process.pid}.tmp`;
+  const json = JSON.stringify(registry, null, 2);
+  try {
+    mkdirSync(dirname(registryPath), { recursive: true });
+    writeFileSync(tmpPath, json, { mode: 0o600 });
+    renameSync(tmpPath, registryPath);
+  } catch (error) {
+    throw new KagiError(
+      "missing_config",
+      `Failed to write conversation registry: ${error.message}`,
+      REGISTRY_HINT,
+    );
+  }
+  registryCache = {
+    path: registryPath,
+    stamp: fileStamp(registryPath),
+    data: JSON.parse(json),
+  };
+  for (const listener of changeListeners) {
+    listener();
+  }
+}
+
+/**
+ * Look up a conversation in the registry
+ * @param {Object} registry - Registry data
+ * @param {string} id - Conversation id
+ * @returns {Object|null} Conversation or null if unknown
+ */
+function findEntry(registry, id) {
+  return typeof id === "string" && Object.hasOwn(registry.conversations, id)
+    ? registry.conversations[id]
+    : null;
+}
+
+/**
+ * Derive a conversation title from its first prompt
+ * @param {string} prompt - First prompt of the conversation
+ * @returns {string} Title
+ */
+function titleFromPrompt(prompt) {
+  const title = prompt.replace(/\s+/g, " ").trim();
+  return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+}
+
+/**
+ * Turn a new message into the fields the registry keeps, holding its reply
+ * in memory
+ * @param {Object} message - Message ({id, prompt, model, reply})
+ * @param {string} createdAt - Time of the message
+ * @returns {Object} Stored message ({id, prompt, model, createdAt})
+ */
+function storeMessage({ id, prompt, model, reply }, createdAt) {
+  if (reply) {
+    replies.delete(id);
+    replies.set(id, reply);
+    if (replies.size > MAX_KEPT_REPLIES) {
+      replies.delete(replies.keys().next().value);
+    }
+  }
+  return { id, prompt, model, createdAt };
+}
+
+/**
+ * Get the reply to a message, if it is still held in memory
+ * @param {string} messageId - Message id
+ * @returns {string|null} Reply in Markdown, or null if not kept
+ */
+export function getReply(messageId) {
+  return replies.get(messageId) ?? null;
+}
+
+/**
+ * Replace a message and everything after it, or append if no message is replaced
+ * @param {Array<Object>} messages - Messages of the conversation
+ * @param {Object} message - New message
+ * @param {string} [replaceMessageId] - Message the new one replaces
+ * @returns {Array<Object>} Updated messages
+ */
+function replaceMessage(messages, message, replaceMessageId) {
+  const index = replaceMessageId
+    ? messages.findIndex((m) => m.id === replaceMessageId)
+    : -1;
+  return [...(index === -1 ? messages : messages.slice(0, index)), message];
+}
+
+/**
+ * Get a conversation by id
+ * @param {string} id - Conversation id
+ * @returns {Object|null} Conversation or null if unknown
+ */
+export function getConversation(id) {
+  return findEntry(readRegistry(), id);
+}
+
+/**
+ * Get the id of the current conversation (used when no id is given)
+ * @returns {string|null} Conversation id or null if none
+ */
+export function getCurrentConversationId() {
+  const registry = readRegistry();
+  return findEntry(registry, registry.current) ? registry.current : null;
+}
+
+/**
+ * Start a conversation, replacing any existing one with the same id,
+ * and make it the current conversation
+ *
+ * @param {Object} params - Conversation parameters
+ * @param {string} [params.id] - Conversation id (generated if omitted)
+ * @param {string|null} params.threadId - Kagi thread id
+ * @param {string} params.model - AI model used
+ * @param {string} [params.account] - Kagi account the thread belongs to
+ * @param {string} params.prompt - First prompt, used as the initial title
+ * @param {string|null} [params.branchId] - Kagi branch id
+ * @param {Object} [params.message] - First message ({id, prompt, model, reply})
+ * @returns {Object} The new conversation
+ */
+export function createConversation({
+  id,
+  threadId,
+  model,
+  account,
+  prompt,
+  branchId,
+  message,
+}) {
+  const registry = readRegistry();
+  const now = new Date().toISOString();
+  const conversationId = id || uuidv4();
+  const previous = findEntry(registry, conversationId);
+
+  const conversation = {
+    id: conversationId,
+    threadId: threadId || null,
+    branchId: branchId || null,
+    model,
+    account,
+    title: previous?.title || titleFromPrompt(prompt),
+    messages: message ? [storeMessage(message, now)] : [],
+    createdAt: now,
+    lastUsedAt: now,
+  };
+
+  registry.conversations[conversationId] = conversation;
+  registry.current = conversationId;
+  writeRegistry(registry);
+  return conversation;
+}
+
+/**
+ * Record a completed exchange on a conversation
+ *
+ * @param {string} id - Conversation id
+ * @param {Object} updates - Fields to update
+ * @param {string|null} [updates.threadId] - Kagi thread id
+ * @param {string} [updates.model] - AI model used
+ * @param {string|null} [updates.branchId] - Kagi branch id
+ * @param {Object} [updates.message] - New message ({id, prompt, model, reply})
+ * @param {string} [updates.replaceMessageId] - Message the new one replaces, with all later messages
+ * @returns {Object|null} Updated conversation or null if unknown
+ */
+export function touchConversation(id, {
+  threadId,
+  model,
+  branchId,
+  message,
+  replaceMessageId,
+} = {}) {
+  const registry = readRegistry();
+  const conversation = findEntry(registry, id);
+  if (!conversation) {
+    return null;
+  }
+
+  if (threadId) {
+    conversation.threadId = threadId;
+  }
+  if (model) {
+    conversation.model = model;
+  }
+  if (branchId) {
+    conversation.branchId = branchId;
+  }
+  const now = new Date().toISOString();
+  if (message) {
+    conversation.messages = replaceMessage(
+      conversation.messages || [],
+      storeMessage(message, now),
+      replaceMessageId,
+    );
+    delete conversation.forkedAt;
+  }
+  conversation.lastUsedAt = now;
+  registry.current = id;
+  writeRegistry(registry);
+  return conversation;
+}
+
+/**
+ * Fork a conversation after one of its messages, and make the fork current
+ *
+ * @param {string} sourceId - Conversation to fork
+ * @param {string} messageId - Last message kept in the fork
+ * @param {string} [id] - Id of the fork (generated if omitted)
+ * @returns {Object|null} The fork, or null if the conversation or message is unknown
+ * @throws {KagiError} If the message is the conversation's last
+ */
+export function forkConversation(sourceId, messageId, id) {
+  const registry = readRegistry();
+  const source = findEntry(registry, sourceId);
+  const messages = source?.messages || [];
+  const index = messages.findIndex((m) => m.id === messageId);
+  if (index === -1) {
+    return null;
+  }
+  if (index === messages.length - 1) {
+    throw new KagiError(
+      "invalid_input",
+      `Message "${messageId}" is the last message of conversation "${sourceId}", so a fork would share its branch.`,
+      {
+        hint: "Continue the conversation instead, or send the next prompt first and then fork at this message: each fork's first prompt replaces that next message on a new branch.",
+      },
+    );
+  }
+
+  const now = new Date().toISOString();
+  const forkId = id || uuidv4();
+  const fork = {
+    ...source,
+    id: forkId,
+    title: `${source.title} (fork)`,
+    messages: messages.slice(0, index + 1),
+    // The fork's first prompt replaces the message that followed the fork point
+    forkedAt: messages[index + 1].id,
+    createdAt: now,
+    lastUsedAt: now,
+  };
+
+  registry.conversations[forkId] = fork;
+  registry.current = forkId;
+  writeRegistry(registry);
+  return fork;
+}
+
+/**
+ * List all conversations, most recently used first
+ * @returns {Array<Object>} Conversations with an `isCurrent` flag
+ */
+export function listConversations() {
+  const registry = readRegistry();
+  return Object.values(registry.conversations)
+    .map((conversation) => ({
+      ...conversation,
+      isCurrent: conversation.id === registry.current,
+    }))
+    .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+}
+
+/**
+ * Make a conversation the current one
+ * @param {string} id - Conversation id
+ * @returns {Object|null} Conversation or null if unknown
+ */
+export function setCurrentConversation(id) {
+  const registry = readRegistry();
+  const conversation = findEntry(registry, id);
+  if (!conversation) {
+    return null;
+  }
+  registry.current = id;
+  writeRegistry(registry);
+  return conversation;
+}
+
+/**
+ * Rename a conversation
+ * @param {string} id - Conversation id
+ * @param {string} title - New title
+ * @returns {Object|null} Updated conversation or null if unknown
+ */
+export function renameConversation(id, title) {
+  const registry = readRegistry();
+  const conversation = findEntry(registry, id);
+  if (!conversation) {
+    return null;
+  }
+  conversation.title = title;
+  writeRegistry(registry);
+  return conversation;
+}
+
+/**
+ * Delete a conversation
+ * @param {string} id - Conversation id
+ * @returns {boolean} True if the conversation existed
+ */
+export function deleteConversation(id) {
+  const registry = readRegistry();
+  if (!findEntry(registry, id)) {
+    return false;
+  }
+  delete registry.conversations[id];
+  if (registry.current === id) {
+    registry.current = null;
+  }
+  writeRegistry(registry);
+  return true;
+}
@@ -0,0 +1,140 @@
+import { z } from "zod";
+import { redactSecrets } from "./auth.js";
+
+/**
+ * Tool errors with machine-readable categories
+ *
+ * Errors thrown with a known cause are KagiErrors carrying a category and,
+ * where the fix is specific, a hint. Other errors (from kagi-ken, fetch or
+ * Node) are categorized by toKagiError. Failed tool calls return the category
+ * and hint in the text and under ERROR_META_KEY in the result's _meta, since
+ * clients validate structuredContent against the tool's output schema.
+ */
+
+export const ERROR_META_KEY = "kagi-ken-mcp/error";
+
+/**
+ * Error categories and their default remediation hints
+ */
+export const ERROR_CATEGORIES = {
+  auth_expired:
+    "Kagi rejected the credentials. Copy a new session token (KAGI_SESSION_TOKEN or ~/.kagi_session_token) or _kagi_search_ cookie (KAGI_SEARCH_COOKIE or ~/.kagi_search_cookie) from your browser, then check them with kagi_auth_status.",
+  missing_config:
+    "A required setting is missing or invalid. Set the environment variable, file or config file setting named in the message.",
+  rate_limited:
+    "Kagi is limiting requests. Wait a minute before retrying, or lower KAGI_RATE_LIMIT.",
+  timeout:
+    "Kagi did not answer in time. Retry, or raise the matching limit in the timeouts section of the config file.",
+  upstream_changed:
+    "Kagi's response was not in the expected format, so Kagi may have changed. Update kagi-ken-mcp, or report the issue if it persists.",
+  upstream_error:
+    "The request to Kagi failed. Check the network connection and retry later.",
+  invalid_input: "Fix the arguments named in the message and call the tool again.",
+  cancelled: "The call was cancelled before it finished.",
+};
+
+/**
+ * Schema of an error reported in structured output, e.g. for one query of a batch
+ */
+export const errorSchema = z.object({
+  category: z.enum(Object.keys(ERROR_CATEGORIES)),
+  message: z.string(),
+  hint: z.string(),
+});
+
+/**
+ * Error with a category and a remediation hint
+ */
+export class KagiError extends Error {
+  /**
+   * @param {string} category - Error category, a key of ERROR_CATEGORIES
+   * @param {string} message - Error message
+   * @param {Object} [options] - Options
+   * @param {string} [options.hint] - Remediation hint (default: the category's hint)
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(category, message, { hint, cause } = {}) {
+    super(message, { cause });
+    this.name = "KagiError";
+    this.category = category;
+    this.hint = hint || ERROR_CATEGORIES[category];
+  }
+}
+
+/**
+ * Infer the category of an error thrown outside this server's code
+ * @param {*} error - Error or thrown value
+ * @returns {string} Error category
+ */
+function inferCategory(error) {
+  const text = `${error?.message ?? error} ${error?.cause?.code || ""}`;
+  if (error?.name === "TimeoutError") {
+    return "timeout";
+  }
+  if (error?.name === "AbortError") {
+    return "cancelled";
+  }
+  if (error?.status === 429 || /\b429\b|too many requests|rate.?limit/i.test(text)) {
+    return "rate_limited";
+  }
+  if (/\b40[13]\b|unauthori[sz]ed|forbidden|expired/i.test(text)) {
+    return "auth_expired";
+  }
+  if (error instanceof SyntaxError || /\bparse\b|unexpected token/i.test(text)) {
+    return "upstream_changed";
+  }
+  return "upstream_error";
+}
+
+/**
+ * Turn any thrown value into a KagiError
+ * @param {*} error - Error or thrown value
+ * @returns {KagiError} Categorized error
+ */
+export function toKagiError(error) {
+  if (error instanceof KagiError) {
+    return error;
+  }
+  const message = error instanceof Error
+    ? error.message || error.toString()
+    : String(error || "Unknown error occurred");
+  return new KagiError(inferCategory(error), message, { cause: error });
+}
+
+/**
+ * Describe an error for tool results, without credentials
+ * @param {*} error - Error or thrown value
+ * @returns {{category: string, message: string, hint: string}} Error description
+ */
+export function describeError(error) {
+  const { category, message, hint } = toKagiError(error);
+  return { category, message: redactSecrets(message), hint };
+}
+
+/**
+ * Handle errors consistently across tools
+ * @param {Error|string} error - The error to format
+ * @returns {string} Formatted error message with its category and hint
+ */
+export function formatError(error) {
+  const { category, message, hint } = describeError(error);
+  return `Error [${category}]: ${message}\nHint: ${hint}`;
+}
+
+/**
+ * Build the result of a failed tool call
+ * @param {*} error - Error or thrown value
+ * @returns {Object} MCP tool response with isError set
+ */
+export function errorResult(error) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: formatError(error),
+      },
+    ],
+    isError: true,
+    _meta: { [ERROR_META_KEY]: describeError(error) },
+  };
+}
@@ -0,0 +1,166 @@
+import { readFile, realpath, stat } from "fs/promises";
+import { extname, isAbsolute, relative, resolve } from "path";
+import { getConfig } from "./config.js";
+import { KagiError } from "./errors.js";
+
+/**
+ * Access to local workspace files for tools that send file contents to Kagi
+ *
+ * Files are only read from the workspace roots (files.roots or
+ * KAGI_FILE_ROOTS, default: the current working directory), so a client of a
+ * shared server cannot read arbitrary files from the host. Over HTTP, the
+ * working directory is the server's, not the client's, so there the roots
+ * must be configured (see requireConfiguredFileRoots).
+ */
+
+let cwdFallback = true;
+
+export const TEXT_EXTENSIONS = new Set([
+  ".md", ".markdown", ".mdx", ".txt", ".text", ".rst", ".adoc", ".org", ".tex",
+  ".html", ".htm", ".xml", ".csv", ".tsv", ".json", ".jsonl", ".yaml", ".yml",
+  ".toml", ".ini", ".log", ".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx", ".py",
+  ".rb", ".go", ".rs", ".java", ".kt", ".swift", ".c", ".h", ".cc", ".cpp",
+  ".hpp", ".cs", ".php", ".sh", ".bash", ".zsh", ".sql", ".css", ".scss",
+  ".vue", ".svelte", ".lua", ".r", ".scala", ".ex", ".exs", ".hs", ".dart",
+]);
+
+/**
+ * Stop falling back to the working directory when no roots are configured
+ * Called by the HTTP transport, whose clients do not share the server's
+ * working directory.
+ */
+export function requireConfiguredFileRoots() {
+  cwdFallback = false;
+}
+
+/**
+ * Get the directories files may be read from
+ * @returns {Array<string>} Absolute root directories
+ * @throws {KagiError} If no roots are configured and the working directory may not be used
+ */
+export function getFileRoots() {
+  const { roots } = getConfig().files;
+  if (roots) {
+    return roots.map((root) => resolve(root));
+  }
+  if (!cwdFallback) {
+    throw new KagiError(
+      "missing_config",
+      "Reading local files is disabled: the HTTP server has no file roots configured.",
+      { hint: "Set KAGI_FILE_ROOTS (or files.roots in the config file) to the directories clients may read." },
+    );
+  }
+  return [process.cwd()];
+}
+
+/**
+ * Get the maximum size of files that may be read
+ * @returns {number} Size limit in bytes
+ */
+export function getMaxFileBytes() {
+  return getConfig().files.max_bytes;
+}
+
+/**
+ * Resolve a file path against the workspace roots
+ *
+ * @param {string} filePath - Absolute path, or path relative to the first root
+ * @returns {Promise<string>} Real path of the file
+ * @throws {Error} If the file does not exist or lies outside the workspace roots
+ */
+export async function resolveWorkspacePath(filePath) {
+  const roots = getFileRoots();
+  const candidate = isAbsolute(filePath) ? filePath : resolve(roots[0], filePath);
+
+  let realPath;
+  try {
+    realPath = await realpath(candidate);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new KagiError("invalid_input", `File not found: ${filePath}`);
+    }
+    throw new KagiError(
+      "invalid_input",
+      `Failed to access file ${filePath}: ${error.message}`,
+    );
+  }
+
+  for (const root of roots) {
+    const realRoot = await realpath(root).catch(() => root);
+    const rel = relative(realRoot, realPath);
+    if (!rel.startsWith("..") && !isAbsolute(rel)) {
+      return realPath;
+    }
+  }
+
+  throw new KagiError(
+    "invalid_input",
+    `File ${filePath} is outside the allowed directories.`,
+    { hint: "Pass a file inside the workspace roots, or set KAGI_FILE_ROOTS to allow more directories." },
+  );
+}
+
+/**
+ * Read a file after checking it is a regular file within the size limit
+ *
+ * @param {string} filePath - File path
+ * @returns {Promise<{path: string, data: Buffer}>} Real path and contents
+ * @throws {Error} If the file is missing, outside the workspace or too large
+ */
+export async function readWorkspaceFile(filePath) {
+  const path = await resolveWorkspacePath(filePath);
+  const info = await stat(path);
+  if (!info.isFile()) {
+    throw new KagiError("invalid_input", `Not a regular file: ${filePath}`);
+  }
+
+  const maxBytes = getMaxFileBytes();
+  if (info.size > maxBytes) {
+    throw new KagiError(
+      "invalid_input",
+      `File ${filePath} is ${info.size} bytes, more than the ${maxBytes} byte limit (KAGI_MAX_FILE_BYTES).`,
+    );
+  }
+
+  return { path, data: await readFile(path) };
+}
+
+/**
+ * Read the text of a document file
+ * Supports PDFs and text-based files (Markdown, plain text, HTML, source code...).
+ *
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Document text
+ * @throws {Error} If the file type is not supported or the file has no text
+ */
+export async function readDocumentText(filePath) {
+  const extension = extname(filePath).toLowerCase();
+  if (extension !== ".pdf" && !TEXT_EXTENSIONS.has(extension)) {
+    throw new KagiError(
+      "invalid_input",
+      `Unsupported file type "${
+        extension || "(none)"
+      }" for ${filePath}. Supported: PDF, Markdown, plain text, HTML, data and source code files.`,
+    );
+  }
+
+  const { data } = await readWorkspaceFile(filePath);
+
+  let text;
+  if (extension === ".pdf") {
+    // Loaded on demand, the PDF parser is large
+    const { extractText, getDocumentProxy } = await import("unpdf");
+    const pdf = await getDocumentProxy(new Uint8Array(data));
+    ({ text } = await extractText(pdf, { mergePages: true }));
+  } else {
+    if (data.includes(0)) {
+      throw new KagiError("invalid_input", `File ${filePath} looks binary, not text.`);
+    }
+    text = data.toString("utf8");
+  }
+
+  if (!text.trim()) {
+    throw new KagiError("invalid_input", `File ${filePath} contains no text to summarize.`);
+  }
+  return text;
+}
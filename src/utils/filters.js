@@ -0,0 +1,145 @@
+/**
+ * Search filters for kagi_search_fetch
+ *
+ * Domain and freshness filters are applied as Kagi search operators in the
+ * query itself. Region, safe search and lens are sent as query parameters of
+ * Kagi's search page, the ones its search filter menu sets. The result limit
+ * is applied to the returned results.
+ */
+
+const FRESHNESS_DAYS = {
+  day: 1,
+  week: 7,
+  month: 31,
+  year: 366,
+};
+
+export const FRESHNESS_WINDOWS = Object.keys(FRESHNESS_DAYS);
+
+// Kagi's safe search is either on or off
+export const SAFE_SEARCH_LEVELS = ["off", "on"];
+
+/**
+ * Reduce a domain or URL to a bare host name for a site: operator
+ * @param {string} domain - Domain or URL
+ * @returns {string} Host name
+ */
+function normalizeDomain(domain) {
+  return domain.trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, "")
+    .replace(/[/?#].*$/, "");
+}
+
+/**
+ * Resolve search filter arguments into query operators and search page
+ * parameters
+ *
+ * @param {Object} args - Filter arguments
+ * @param {Array<string>} [args.include_domains] - Only return results from these domains
+ * @param {Array<string>} [args.exclude_domains] - Never return results from these domains
+ * @param {string} [args.freshness] - Only return results from the past day, week, month or year
+ * @param {string} [args.region] - Region code
+ * @param {string} [args.safe_search] - Safe search (off|on)
+ * @param {string} [args.lens_id] - Kagi lens id
+ * @param {number} [args.limit] - Maximum results per query
+ * @param {Date} [now] - Current time, for freshness windows
+ * @returns {Object} Resolved filters
+ */
+export function resolveSearchFilters({
+  include_domains = [],
+  exclude_domains = [],
+  freshness,
+  region,
+  safe_search,
+  lens_id,
+  limit,
+}, now = new Date()) {
+  const operators = [];
+  const params = {};
+  const applied = {};
+
+  const included = include_domains.map(normalizeDomain).filter(Boolean);
+  if (included.length === 1) {
+    operators.push(`site:${included[0]}`);
+  } else if (included.length > 1) {
+    operators.push(`(${included.map((d) => `site:${d}`).join(" OR ")})`);
+  }
+  if (included.length > 0) {
+    applied.include_domains = included;
+  }
+
+  const excluded = exclude_domains.map(normalizeDomain).filter(Boolean);
+  for (const domain of excluded) {
+    operators.push(`-site:${domain}`);
+  }
+  if (excluded.length > 0) {
+    applied.exclude_domains = excluded;
+  }
+
+  if (freshness) {
+    const since = new Date(now.getTime() - FRESHNESS_DAYS[freshness] * 86400000);
+    const sinceDate = since.toISOString().slice(0, 10);
+    operators.push(`after:${sinceDate}`);
+    applied.freshness = freshness;
+    applied.since = sinceDate;
+  }
+
+  if (region) {
+    params.r = region.toLowerCase();
+    applied.region = params.r;
+  }
+  if (safe_search) {
+    params.safe_search = safe_search;
+    applied.safe_search = safe_search;
+  }
+  if (lens_id) {
+    params.l = lens_id;
+    applied.lens_id = lens_id;
+  }
+  if (limit) {
+    applied.limit = limit;
+  }
+
+  return { operators, params, limit, applied };
+}
+
+/**
+ * Add the resolved query operators to a search query
+ * @param {string} query - Search query
+ * @param {Object} filters - Filters from resolveSearchFilters
+ * @returns {string} Query with operators
+ */
+export function applyQueryOperators(query, filters) {
+  return [query.trim(), ...filters.operators].join(" ");
+}
+
+/**
+ * Describe the filters that took effect, for result headers
+ * @param {Object} applied - Applied filters from resolveSearchFilters
+ * @returns {string} Description, or an empty string if no filters are set
+ */
+export function describeFilters(applied) {
+  const parts = [];
+  if (applied.include_domains) {
+    parts.push(`sites: ${applied.include_domains.join(", ")}`);
+  }
+  if (applied.exclude_domains) {
+    parts.push(`excluded sites: ${applied.exclude_domains.join(", ")}`);
+  }
+  if (applied.freshness) {
+    parts.push(`past ${applied.freshness} (after ${applied.since})`);
+  }
+  if (applied.region) {
+    parts.push(`region: ${applied.region}`);
+  }
+  if (applied.safe_search) {
+    parts.push(`safe search: ${applied.safe_search}`);
+  }
+  if (applied.lens_id) {
+    parts.push(`lens: ${applied.lens_id}`);
+  }
+  if (applied.limit) {
+    parts.push(`limit: ${applied.limit}`);
+  }
+  return parts.join("; ");
+}
@@ -0,0 +1,159 @@
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { join, resolve } from "path";
+import { createHash } from "crypto";
+import { redactSecrets } from "./auth.js";
+import { getConfig } from "./config.js";
+import { KagiError } from "./errors.js";
+
+/**
+ * Recorded Kagi responses for offline, deterministic runs
+ *
+ * With fixtures.mode "record" (KAGI_FIXTURES=record), every call to Kagi made
+ * through the request layer is saved to a JSON file in fixtures.dir; with
+ * "replay", calls are answered from those files without touching the network,
+ * and a call without a fixture fails. A fixture file is named after the call
+ * and a hash of its request key: what identifies the request, without
+ * credentials. Fetched responses are stored with their raw body (e.g. every
+ * assistant stream frame), kagi-ken results as JSON. Credentials are redacted
+ * from everything that is written.
+ */
+
+// Headers that are never written to a fixture
+const DROPPED_HEADERS = new Set(["set-cookie"]);
+
+// Statuses whose responses cannot have a body
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+/**
+ * Stores kagi-ken results, which are plain JSON values
+ */
+export const JSON_CODEC = {
+  encode: async (result) => ({ result }),
+  decode: (fixture) => fixture.result,
+};
+
+/**
+ * Stores fetch responses with their status, headers and raw body
+ */
+export const RESPONSE_CODEC = {
+  /**
+   * @param {Response} response - Response to store; its body is read
+   * @returns {Promise<Object>} Fixture data
+   */
+  encode: async (response) => ({
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(
+        [...response.headers].filter(([name]) => !DROPPED_HEADERS.has(name)),
+      ),
+      body: await response.text(),
+    },
+  }),
+  /**
+   * @param {Object} fixture - Fixture data
+   * @returns {Response} Response rebuilt from the fixture
+   */
+  decode: ({ response }) =>
+    new Response(
+      NULL_BODY_STATUSES.has(response.status) ? null : response.body,
+      {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      },
+    ),
+};
+
+/**
+ * Get the fixture mode
+ * @returns {"off"|"record"|"replay"} Fixture mode
+ */
+export function getFixtureMode() {
+  return getConfig().fixtures.mode;
+}
+
+/**
+ * Get the path of the fixture file of a request
+ * @param {string} label - Name of the call, e.g. "Search"
+ * @param {string} key - Redacted request key, as JSON
+ * @returns {string} Fixture file path
+ */
+function getFixturePath(label, key) {
+  const name = label.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  const hash = createHash("sha256").update(`${label}\n${key}`).digest("hex");
+  return join(resolve(getConfig().fixtures.dir), `${name}-${hash.slice(0, 16)}.json`);
+}
+
+/**
+ * Read the fixture of a request
+ * @param {string} path - Fixture file path
+ * @param {string} label - Name of the call, for error messages
+ * @returns {Promise<Object>} Fixture data
+ * @throws {KagiError} If there is no fixture for the request
+ */
+async function readFixture(path, label) {
+  let json;
+  try {
+    json = await readFile(path, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new KagiError(
+        "missing_config",
+        `No recorded fixture for this ${label} request (expected ${path}). Replay mode never calls Kagi.`,
+        {
+          hint: "Run the same calls once with KAGI_FIXTURES=record to record the fixture, or check KAGI_FIXTURES_DIR.",
+        },
+      );
+    }
+    throw new KagiError(
+      "missing_config",
+      `Failed to read fixture ${path}: ${error.message}`,
+    );
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new KagiError(
+      "missing_config",
+      `Invalid JSON in fixture ${path}: ${error.message}`,
+      { hint: "Record the fixture again with KAGI_FIXTURES=record." },
+    );
+  }
+}
+
+/**
+ * Run a call to Kagi, recording or replaying it depending on the fixture mode
+ *
+ * @param {string} label - Name of the call, e.g. "Search"
+ * @param {*} key - JSON value identifying the request, without credentials
+ * @param {Function} run - Makes the call
+ * @param {Object} [codec] - How results are stored (JSON_CODEC or RESPONSE_CODEC)
+ * @returns {Promise} Result of the call, or the recorded result
+ * @throws {KagiError} In replay mode, if the request was never recorded
+ */
+export async function withFixture(label, key, run, codec = JSON_CODEC) {
+  const mode = getFixtureMode();
+  if (mode === "off") {
+    return run();
+  }
+
+  const requestKey = redactSecrets(JSON.stringify(key ?? null));
+  const path = getFixturePath(label, requestKey);
+
+  if (mode === "replay") {
+    return codec.decode(await readFixture(path, label));
+  }
+
+  const data = await codec.encode(await run());
+  const fixture = {
+    label,
+    request: JSON.parse(requestKey),
+    recorded_at: new Date().toISOString(),
+    ...JSON.parse(redactSecrets(JSON.stringify(data))),
+  };
+  await mkdir(resolve(getConfig().fixtures.dir), { recursive: true });
+  await writeFile(path, JSON.stringify(fixture, null, 2) + "\n");
+  return codec.decode(data);
+}
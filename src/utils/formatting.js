@@ -2,84 +2,246 @@
  * Formatting utilities for search results to match official Kagi MCP output
  */
 
-import { resolveToken } from "./auth.js";
+import { resolveCredentials } from "./auth.js";
+import { getConfig } from "./config.js";
+import { formatError } from "./errors.js";
+
+/**
+ * Convert search results from kagi-ken to structured per-query result lists
+ * Results are ranked continuously across all queries.
+ *
+ * @param {Array<string>} queries - The search queries
+ * @param {Array<Object>} responses - The search responses from kagi-ken
+ * @param {Object} [options] - Formatting options
+ * @param {Array<boolean>} [options.cached] - Whether each response came from the cache
+ * @param {number} [options.limit] - Maximum results per query
+ * @returns {Array<Object>} Per-query results with global rank
+ */
+export function structureSearchResults(
+  queries,
+  responses,
+  { cached = [], limit } = {},
+) {
+  let startIndex = 1;
+
+  return queries.map((query, i) => {
+    const response = responses[i];
+
+    // Filter for search results (assuming kagi-ken returns similar structure)
+    const allResults = response?.results || response?.data || [];
+    const results = limit ? allResults.slice(0, limit) : allResults;
+
+    const structuredResults = results.map((result, index) => ({
+      rank: startIndex + index,
+      title: result.title || "No Title",
+      url: result.url || "",
+      published: result.published || result.publishedDate || null,
+      snippet: result.snippet || result.description || "No snippet available",
+    }));
+
+    startIndex += results.length;
+
+    return {
+      query,
+      cached: Boolean(cached[i]),
+      results: structuredResults,
+    };
+  });
+}
 
 /**
  * Format search results from kagi-ken to match official MCP format
  * @param {Array<string>} queries - The search queries
  * @param {Array<Object>} responses - The search responses from kagi-ken
+ * @param {Object} [options] - Formatting options
+ * @param {Array<boolean>} [options.cached] - Whether each response came from the cache
+ * @param {number} [options.limit] - Maximum results per query
+ * @param {string} [options.filters] - Description of the search filters in effect
+ * @param {Array<*>} [options.errors] - Error of each failed query, by query index
  * @returns {string} Formatted search results string
  */
-export function formatSearchResults(queries, responses) {
+export function formatSearchResults(queries, responses, options = {}) {
   const resultTemplate = (resultNumber, title, url, published, snippet) =>
     `${resultNumber}: ${title}
 ${url}
 Published Date: ${published}
 ${snippet}`;
 
-  const queryResponseTemplate = (query, formattedSearchResults) =>
+  const queryResponseTemplate = (query, formattedSearchResults, isCached) =>
     `-----
-Results for search query "${query}":
------
+Results for search query "${query}"${isCached ? " (cached)" : ""}:
+${options.filters ? `Filters: ${options.filters}\n` : ""}-----
 ${formattedSearchResults}`;
 
-  const perQueryResponseStrs = [];
-  let startIndex = 1;
+  return structureSearchResults(queries, responses, options)
+    .map((queryResults, i) => {
+      if (options.errors?.[i]) {
+        return queryResponseTemplate(
+          queryResults.query,
+          formatError(options.errors[i]),
+          false,
+        );
+      }
 
-  for (let i = 0; i < queries.length; i++) {
-    const query = queries[i];
-    const response = responses[i];
+      const formattedResultsStr = queryResults.results
+        .map((result) =>
+          resultTemplate(
+            result.rank,
+            result.title,
+            result.url,
+            result.published || "Not Available",
+            result.snippet,
+          )
+        )
+        .join("\n\n");
 
-    // Filter for search results (assuming kagi-ken returns similar structure)
-    const results = response?.results || response?.data || [];
-
-    const formattedResultsList = results.map((result, index) => {
-      const resultNumber = startIndex + index;
-      return resultTemplate(
-        resultNumber,
-        result.title || "No Title",
-        result.url || "",
-        result.published || result.publishedDate || "Not Available",
-        result.snippet || result.description || "No snippet available",
+      return queryResponseTemplate(
+        queryResults.query,
+        formattedResultsStr,
+        queryResults.cached,
       );
-    });
+    })
+    .join("\n\n");
+}
 
-    startIndex += results.length;
+// Rank constant for reciprocal rank fusion, as in the original RRF paper
+const RRF_K = 60;
 
-    const formattedResultsStr = formattedResultsList.join("\n\n");
-    const queryResponseStr = queryResponseTemplate(query, formattedResultsStr);
-    perQueryResponseStrs.push(queryResponseStr);
+/**
+ * Normalize a result URL so the same page found by different queries matches
+ * Ignores scheme, "www.", trailing slashes, fragments and utm_* tracking parameters.
+ *
+ * @param {string} url - Result URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeResultUrl(url) {
+  try {
+    const parsed = new URL(url);
+    for (const param of [...parsed.searchParams.keys()]) {
+      if (param.toLowerCase().startsWith("utm_")) {
+        parsed.searchParams.delete(param);
+      }
+    }
+    const host = parsed.hostname.replace(/^www\./, "");
+    const path = parsed.pathname.replace(/\/+$/, "");
+    return `${host}${parsed.port ? `:${parsed.port}` : ""}${path}${parsed.search}`;
+  } catch {
+    return url.trim();
   }
-
-  return perQueryResponseStrs.join("\n\n");
 }
 
 /**
- * Handle errors consistently across tools
- * @param {Error|string} error - The error to format
- * @returns {string} Formatted error message
+ * Merge per-query results into one deduplicated list ranked by reciprocal rank fusion
+ *
+ * @param {Array<Object>} queryResults - Per-query results from structureSearchResults
+ * @returns {Array<Object>} Merged results with rank, score and the queries that found them
  */
-export function formatError(error) {
-  if (error instanceof Error) {
-    return `Error: ${error.message || error.toString()}`;
+export function mergeSearchResults(queryResults) {
+  const merged = new Map();
+
+  for (const { query, results } of queryResults) {
+    results.forEach((result, index) => {
+      // Results without a URL cannot be matched up, so keep each one
+      const key = result.url
+        ? normalizeResultUrl(result.url)
+        : `${query}#${index}`;
+
+      let entry = merged.get(key);
+      if (!entry) {
+        entry = {
+          title: result.title,
+          url: result.url,
+          published: result.published,
+          snippet: result.snippet,
+          score: 0,
+          queries: [],
+        };
+        merged.set(key, entry);
+      }
+
+      entry.score += 1 / (RRF_K + index + 1);
+      entry.published = entry.published || result.published;
+      if (!entry.queries.includes(query)) {
+        entry.queries.push(query);
+      }
+    });
   }
-  return `Error: ${error || "Unknown error occurred"}`;
+
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score)
+    .map((entry, index) => ({
+      rank: index + 1,
+      ...entry,
+      score: Number(entry.score.toFixed(6)),
+    }));
+}
+
+/**
+ * Format merged search results
+ * @param {Array<Object>} queryResults - Per-query results from structureSearchResults
+ * @param {Array<Object>} merged - Merged results from mergeSearchResults
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.filters] - Description of the search filters in effect
+ * @param {Array<*>} [options.errors] - Error of each failed query, by query index
+ * @returns {string} Formatted search results string
+ */
+export function formatMergedSearchResults(queryResults, merged, options = {}) {
+  const resultTemplate = (resultNumber, title, url, published, foundBy, snippet) =>
+    `${resultNumber}: ${title}
+${url}
+Published Date: ${published}
+Found By: ${foundBy}
+${snippet}`;
+
+  const queryList = queryResults
+    .map(({ query, cached }, i) =>
+      `"${query}"${options.errors?.[i] ? " (failed)" : cached ? " (cached)" : ""}`
+    )
+    .join(", ");
+
+  const failures = queryResults
+    .map(({ query }, i) =>
+      options.errors?.[i]
+        ? `Query "${query}" failed: ${formatError(options.errors[i])}\n`
+        : ""
+    )
+    .join("");
+
+  const formattedResultsStr = merged
+    .map((result) =>
+      resultTemplate(
+        result.rank,
+        result.title,
+        result.url,
+        result.published || "Not Available",
+        result.queries.map((query) => `"${query}"`).join(", "),
+        result.snippet,
+      )
+    )
+    .join("\n\n");
+
+  return `-----
+Merged results for search queries ${queryList}:
+${options.filters ? `Filters: ${options.filters}\n` : ""}${failures}-----
+${formattedResultsStr}`;
 }
 
 /**
  * Get configuration with token resolution and environment variables
- * Uses the same token resolution as kagi-ken-cli:
+ * Uses the same token resolution as kagi-ken-cli for the default account:
  * 1. Environment variable KAGI_SESSION_TOKEN
  * 2. Token file ~/.kagi_session_token
  *
+ * @param {Object} [options] - Options
+ * @param {string} [options.account] - Kagi account (default: auth.default_account, KAGI_ACCOUNT)
  * @returns {Object} Environment configuration
  */
-export function getEnvironmentConfig() {
-  const token = resolveToken();
+export function getEnvironmentConfig({ account } = {}) {
+  const { account: accountName, token } = resolveCredentials(account);
 
   // Note: kagi-ken might not support engine selection like the official API
   // We'll keep this for compatibility but may not use it
-  const engine = process.env.KAGI_SUMMARIZER_ENGINE || "default";
+  const { engine } = getConfig().summarizer;
 
-  return { token, engine };
+  return { token, engine, account: accountName };
 }
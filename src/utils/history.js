@@ -0,0 +1,100 @@
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Recent search result sets and summaries
+ *
+ * Each successful search and summary is kept in memory, so clients can attach
+ * it later as an MCP resource (kagi://search/{id}, kagi://summary/{id})
+ * without running the tool again. Only the most recent entries of each kind
+ * are kept, and they are lost on restart. Each entry belongs to the MCP
+ * session that produced it: sessions of an HTTP server, which may use
+ * different accounts, only see their own results.
+ */
+
+export const MAX_HISTORY_ENTRIES = 50;
+
+export const HISTORY_KINDS = ["search", "summary"];
+
+const entries = Object.fromEntries(HISTORY_KINDS.map((kind) => [kind, new Map()]));
+const changeListeners = new Set();
+
+/**
+ * Subscribe to additions to the history
+ * @param {Function} listener - Called with the entry after it is added
+ * @returns {Function} Unsubscribes the listener
+ */
+export function onHistoryChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * Get the resource URI of a history entry
+ * @param {string} kind - Entry kind ("search" or "summary")
+ * @param {string} id - Entry id
+ * @returns {string} Resource URI
+ */
+export function getHistoryUri(kind, id) {
+  return `kagi://${kind}/${id}`;
+}
+
+/**
+ * Add a result to the history, dropping the oldest entry of its kind if full
+ *
+ * @param {string} kind - Entry kind ("search" or "summary")
+ * @param {Object} result - Result to keep
+ * @param {string} result.title - Short description, e.g. the queries
+ * @param {string} result.text - Result as the tool returned it
+ * @param {string} result.mimeType - MIME type of the text
+ * @param {Object} [result.data] - Structured result, for tools that build on it
+ * @param {string} [result.sessionId] - MCP session that produced the result
+ * @returns {Object} Stored entry, with its id and resource URI
+ */
+export function addToHistory(kind, { title, text, mimeType, data, sessionId }) {
+  const id = uuidv4().slice(0, 8);
+  const entry = {
+    id,
+    uri: getHistoryUri(kind, id),
+    title,
+    text,
+    mimeType,
+    data,
+    sessionId,
+    createdAt: new Date().toISOString(),
+  };
+
+  const kindEntries = entries[kind];
+  kindEntries.set(id, entry);
+  if (kindEntries.size > MAX_HISTORY_ENTRIES) {
+    kindEntries.delete(kindEntries.keys().next().value);
+  }
+
+  for (const listener of changeListeners) {
+    listener(entry);
+  }
+  return entry;
+}
+
+/**
+ * List a session's entries of a kind, newest first
+ * @param {string} kind - Entry kind ("search" or "summary")
+ * @param {string} [sessionId] - MCP session
+ * @returns {Array<Object>} Entries
+ */
+export function listHistory(kind, sessionId) {
+  return [...entries[kind].values()]
+    .filter((entry) => entry.sessionId === sessionId)
+    .reverse();
+}
+
+/**
+ * Get a history entry of a session
+ * @param {string} kind - Entry kind ("search" or "summary")
+ * @param {string} id - Entry id
+ * @param {string} [sessionId] - MCP session
+ * @returns {Object|null} Entry, or null if unknown, dropped or another session's
+ */
+export function getHistoryEntry(kind, id, sessionId) {
+  const entry = entries[kind].get(id);
+  return entry?.sessionId === sessionId ? entry : null;
+}
@@ -0,0 +1,531 @@
+import { parseDocument } from "htmlparser2";
+
+/**
+ * HTML to Markdown and plain text conversion
+ *
+ * Parses the HTML into a DOM (entities are decoded by the parser) and renders
+ * it block by block. Shared by every tool that turns HTML into text.
+ */
+
+const SKIPPED_ELEMENTS = new Set([
+  "head", "script", "style", "noscript", "template", "iframe", "svg", "button",
+]);
+
+const BLOCK_ELEMENTS = new Set([
+  "address", "article", "aside", "blockquote", "body", "dd", "details", "dialog",
+  "div", "dl", "dt", "fieldset", "figcaption", "figure", "footer", "form", "h1",
+  "h2", "h3", "h4", "h5", "h6", "header", "hr", "html", "li", "main", "nav",
+  "ol", "p", "pre", "section", "summary", "table", "ul",
+]);
+
+// Line starts that Markdown reads as a heading, list item, quote or fence
+const BLOCK_START = /^(?:#{1,6}(?=\s|$)|[-+](?=\s|$)|>|~~~)/;
+const ORDERED_ITEM_START = /^(\d{1,9})([.)])(?=\s|$)/;
+
+// Lines of only "=" or "-", which make the line above a heading
+const SETEXT_UNDERLINE = /^(?:=+|-+)$/;
+
+// Characters escapeUrl encodes: encodeURIComponent leaves parentheses alone
+const URL_ESCAPES = { "(": "%28", ")": "%29" };
+
+/**
+ * Get the child nodes of a node
+ * @param {Object} node - DOM node
+ * @returns {Array<Object>} Child nodes
+ */
+function childrenOf(node) {
+  return node.children || [];
+}
+
+/**
+ * Whether a node is an element with one of the given tag names
+ * @param {Object} node - DOM node
+ * @param {...string} names - Tag names
+ * @returns {boolean} True if it matches
+ */
+function isElement(node, ...names) {
+  const element = node.type === "tag" || node.type === "script" ||
+    node.type === "style";
+  return element && (names.length === 0 || names.includes(node.name));
+}
+
+/**
+ * Get the raw text content of a node
+ * @param {Object} node - DOM node
+ * @returns {string} Text content
+ */
+export function textContent(node) {
+  if (node.type === "text") {
+    return node.data;
+  }
+  if (isElement(node, "br")) {
+    return "\n";
+  }
+  return childrenOf(node).map(textContent).join("");
+}
+
+/**
+ * Escape characters that Markdown would treat as formatting
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/[\\`*]/g, "\\$&")
+    // Underscores inside words never start emphasis, so leave snake_case alone
+    .replace(
+      /(^|[^A-Za-z0-9])_|_(?=[^A-Za-z0-9]|$)/g,
+      (match) => match.replace("_", "\\_"),
+    );
+}
+
+/**
+ * Escape a line start that Markdown would read as block syntax
+ * @param {string} line - Line of a paragraph
+ * @returns {string} Line that stays paragraph text
+ */
+function escapeBlockStart(line) {
+  if (SETEXT_UNDERLINE.test(line)) {
+    return `\\${line}`;
+  }
+  return line
+    .replace(BLOCK_START, "\\$&")
+    .replace(ORDERED_ITEM_START, "$1\\$2");
+}
+
+/**
+ * Wrap inline content in a delimiter, keeping surrounding spaces outside it
+ * @param {string} content - Inline content
+ * @param {string} open - Opening delimiter
+ * @param {string} [close] - Closing delimiter (defaults to the opening one)
+ * @returns {string} Wrapped content
+ */
+function wrapInline(content, open, close = open) {
+  const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) {
+    return content;
+  }
+  return `${match[1]}${open}${match[2]}${close}${match[3]}`;
+}
+
+/**
+ * Find the language of a code block from its class names
+ * Looks at the pre element, its code child and its parent (e.g. Pygments'
+ * `<div class="codehilite language-python">`).
+ *
+ * @param {Object} pre - The pre element
+ * @returns {string} Language, or an empty string if unknown
+ */
+function codeLanguage(pre) {
+  const candidates = [
+    pre,
+    childrenOf(pre).find((child) => isElement(child, "code")),
+    pre.parent,
+  ];
+  for (const node of candidates) {
+    const attribs = node?.attribs || {};
+    if (attribs["data-lang"] || attribs["data-language"]) {
+      return attribs["data-lang"] || attribs["data-language"];
+    }
+    const match = /(?:^|\s)(?:language|lang)-([\w+#.-]+)/
+      .exec(attribs.class || "");
+    if (match) {
+      return match[1];
+    }
+  }
+  return "";
+}
+
+/**
+ * Get the length of the longest run of backticks in a string
+ * @param {string} text - Text
+ * @returns {number} Longest run length
+ */
+function longestBacktickRun(text) {
+  return Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+}
+
+/**
+ * Escape the characters that would end a Markdown link target
+ * @param {string} url - URL
+ * @returns {string} Escaped URL
+ */
+function escapeUrl(url) {
+  return url.replace(/[()\s]/g, (char) => URL_ESCAPES[char] ?? encodeURIComponent(char));
+}
+
+/**
+ * Render inline code with enough backticks to contain the code
+ * @param {string} code - Code text
+ * @returns {string} Markdown inline code
+ */
+function inlineCode(code) {
+  const fence = "`".repeat(longestBacktickRun(code) + 1);
+  const pad = code.startsWith("`") || code.endsWith("`") ? " " : "";
+  return `${fence}${pad}${code}${pad}${fence}`;
+}
+
+/**
+ * Indent every line after the first
+ * @param {string} text - Text
+ * @param {string} indent - Indentation
+ * @returns {string} Indented text
+ */
+function indentContinuation(text, indent) {
+  return text.split("\n")
+    .map((line, i) => (i === 0 || line === "" ? line : indent + line))
+    .join("\n");
+}
+
+class Renderer {
+  /**
+   * @param {Object} options - Rendering options
+   * @param {boolean} options.plain - Render plain text instead of Markdown
+   * @param {Function} [options.citations] - Maps a citation link's href to
+   *   its source number, as createCitationIndex does
+   */
+  constructor({ plain, citations }) {
+    this.plain = plain;
+    this.citations = citations;
+  }
+
+  /**
+   * Render nodes as a list of blocks
+   * Inline content between block elements is gathered into paragraphs, whose
+   * lines are escaped where they would start a Markdown block.
+   *
+   * @param {Array<Object>} nodes - DOM nodes
+   * @returns {Array<string>} Rendered blocks
+   */
+  blocks(nodes) {
+    const blocks = [];
+    let paragraph = "";
+
+    const flush = () => {
+      const lines = paragraph.split("\n").map((line) => line.trim())
+        .filter(Boolean);
+      const text = (this.plain ? lines : lines.map(escapeBlockStart)).join("\n");
+      if (text) {
+        blocks.push(text);
+      }
+      paragraph = "";
+    };
+
+    for (const node of nodes) {
+      if (isElement(node) && BLOCK_ELEMENTS.has(node.name)) {
+        flush();
+        blocks.push(...this.block(node));
+      } else {
+        paragraph += this.inline(node);
+      }
+    }
+    flush();
+    return blocks;
+  }
+
+  /**
+   * Render a block element
+   * @param {Object} node - Block element
+   * @returns {Array<string>} Rendered blocks
+   */
+  block(node) {
+    switch (node.name) {
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6": {
+        const text = this.inlineChildren(node).replace(/\s+/g, " ").trim();
+        if (!text) {
+          return [];
+        }
+        const level = Number(node.name[1]);
+        return [this.plain ? text : `${"#".repeat(level)} ${text}`];
+      }
+      case "pre":
+        return [this.codeBlock(node)];
+      case "ul":
+      case "ol":
+        return this.list(node);
+      case "li":
+        return this.list({ name: "ul", attribs: {}, children: [node] });
+      case "blockquote": {
+        const inner = this.blocks(childrenOf(node)).join("\n\n");
+        if (!inner) {
+          return [];
+        }
+        const prefix = this.plain ? "  " : "> ";
+        return [
+          inner.split("\n")
+            .map((line) => (line ? prefix + line : prefix.trimEnd()))
+            .join("\n"),
+        ];
+      }
+      case "table":
+        return this.table(node);
+      case "hr":
+        return [this.plain ? "----------" : "---"];
+      default:
+        return this.blocks(childrenOf(node));
+    }
+  }
+
+  /**
+   * Render the children of a node as inline content
+   * @param {Object} node - DOM node
+   * @returns {string} Inline content
+   */
+  inlineChildren(node) {
+    return childrenOf(node).map((child) => this.inline(child)).join("");
+  }
+
+  /**
+   * Render a node as inline content
+   * @param {Object} node - DOM node
+   * @returns {string} Inline content
+   */
+  inline(node) {
+    if (node.type === "text") {
+      const text = node.data.replace(/\s+/g, " ");
+      return this.plain ? text : escapeMarkdown(text);
+    }
+    if (!isElement(node) || SKIPPED_ELEMENTS.has(node.name)) {
+      return "";
+    }
+
+    // Block elements nested in inline content, e.g. a div inside a span
+    if (BLOCK_ELEMENTS.has(node.name)) {
+      return `\n${this.block(node).join("\n")}\n`;
+    }
+
+    switch (node.name) {
+      case "br":
+        return "\n";
+      case "strong":
+      case "b":
+        return this.emphasis(node, "**");
+      case "em":
+      case "i":
+        return this.emphasis(node, "*");
+      case "del":
+      case "s":
+      case "strike":
+        return this.emphasis(node, "~~");
+      case "code":
+      case "kbd":
+      case "samp": {
+        const code = textContent(node).replace(/\s+/g, " ");
+        return this.plain ? code : inlineCode(code);
+      }
+      case "a":
+        return this.link(node);
+      case "img":
+        return this.image(node);
+      default:
+        return this.inlineChildren(node);
+    }
+  }
+
+  /**
+   * Render bold, italic or strikethrough text
+   * @param {Object} node - Element
+   * @param {string} delimiter - Markdown delimiter
+   * @returns {string} Rendered text
+   */
+  emphasis(node, delimiter) {
+    const content = this.inlineChildren(node);
+    return this.plain ? content : wrapInline(content, delimiter);
+  }
+
+  /**
+   * Render a link
+   * @param {Object} node - Anchor element
+   * @returns {string} Rendered link
+   */
+  link(node) {
+    const href = (node.attribs.href || "").trim();
+    const text = this.inlineChildren(node).replace(/\s+/g, " ");
+
+    // Citation markers become consistently numbered [n]: bracketed numbers and
+    // superscript numbers, and bare numbers that link to one of the reply's
+    // references. Other numbered links, like <a href="/wiki/1998">1998</a>,
+    // stay links.
+    if (this.citations && href && /^\s*\[?\d+\]?\s*$/.test(text)) {
+      const marker = /\[\d+\]/.test(text) || node.parent?.name === "sup";
+      const number = this.citations(href, { add: marker });
+      if (number) {
+        return `[${number}]`;
+      }
+    }
+
+    if (!href || /^(javascript|data):/i.test(href) || href.startsWith("#")) {
+      return text;
+    }
+    if (!text.trim()) {
+      return this.plain ? href : `<${href}>`;
+    }
+    if (this.plain) {
+      return text.trim() === href ? text : `${text} (${href})`;
+    }
+    return wrapInline(text, "[", `](${escapeUrl(href)})`);
+  }
+
+  /**
+   * Render an image
+   * @param {Object} node - Image element
+   * @returns {string} Rendered image
+   */
+  image(node) {
+    const src = (node.attribs.src || "").trim();
+    const alt = (node.attribs.alt || "").replace(/\s+/g, " ").trim();
+    if (this.plain) {
+      return alt;
+    }
+    if (!src || src.startsWith("data:")) {
+      return alt ? escapeMarkdown(alt) : "";
+    }
+    return `![${alt.replace(/[[\]]/g, "\\$&")}](${escapeUrl(src)})`;
+  }
+
+  /**
+   * Render a code block, keeping its language hint
+   * @param {Object} node - Pre element
+   * @returns {string} Rendered code block
+   */
+  codeBlock(node) {
+    const code = textContent(node).replace(/^\n/, "").replace(/\s+$/, "");
+    if (this.plain) {
+      return code;
+    }
+    const fence = "`".repeat(Math.max(3, longestBacktickRun(code) + 1));
+    return `${fence}${codeLanguage(node)}\n${code}\n${fence}`;
+  }
+
+  /**
+   * Render an ordered or unordered list, keeping numbering and nesting
+   * @param {Object} node - List element
+   * @returns {Array<string>} Rendered list
+   */
+  list(node) {
+    const ordered = node.name === "ol";
+    const start = Number.parseInt(node.attribs.start, 10);
+    let number = Number.isNaN(start) ? 1 : start;
+    let loose = false;
+
+    const items = childrenOf(node)
+      .filter((child) =>
+        isElement(child, "li") || (child.type === "text" && child.data.trim())
+      )
+      .map((item) => {
+        const marker = ordered ? `${number++}. ` : "- ";
+        const itemChildren = item.type === "text" ? [item] : childrenOf(item);
+        // Items wrapping their content in paragraphs are spaced apart
+        const hasParagraphs = itemChildren.some((child) =>
+          isElement(child, "p")
+        );
+        loose = loose || hasParagraphs;
+        const content = this.blocks(itemChildren)
+          .join(hasParagraphs ? "\n\n" : "\n");
+        return marker + indentContinuation(content, " ".repeat(marker.length));
+      });
+
+    return items.length ? [items.join(loose ? "\n\n" : "\n")] : [];
+  }
+
+  /**
+   * Render a table
+   * Markdown tables use the first row as header, plain text separates cells
+   * with " | ".
+   *
+   * @param {Object} node - Table element
+   * @returns {Array<string>} Rendered table
+   */
+  table(node) {
+    const rows = [];
+    let caption = "";
+    const collectRows = (parent) => {
+      for (const child of childrenOf(parent)) {
+        if (isElement(child, "tr")) {
+          rows.push(
+            childrenOf(child)
+              .filter((cell) => isElement(cell, "td", "th"))
+              .map((cell) => {
+                const text = this.blocks(childrenOf(cell)).join(" ")
+                  .replace(/\s+/g, " ").trim();
+                return this.plain ? text : text.replace(/\|/g, "\\|");
+              }),
+          );
+        } else if (isElement(child, "thead", "tbody", "tfoot")) {
+          collectRows(child);
+        } else if (isElement(child, "caption")) {
+          caption = this.inlineChildren(child).replace(/\s+/g, " ").trim();
+        }
+      }
+    };
+    collectRows(node);
+
+    if (rows.length === 0) {
+      return caption ? [caption] : [];
+    }
+
+    const columns = Math.max(...rows.map((row) => row.length));
+    const padded = rows.map((row) => [
+      ...row,
+      ...Array(columns - row.length).fill(""),
+    ]);
+
+    let table;
+    if (this.plain) {
+      table = padded.map((row) => row.join(" | ")).join("\n");
+    } else {
+      const line = (cells) => `| ${cells.join(" | ")} |`;
+      table = [
+        line(padded[0]),
+        line(Array(columns).fill("---")),
+        ...padded.slice(1).map(line),
+      ].join("\n");
+    }
+    return caption ? [caption, table] : [table];
+  }
+}
+
+/**
+ * Render HTML
+ * Blocks are trimmed already; only trailing whitespace is left to remove, as
+ * a leading indent belongs to the first block (e.g. a plain text quote).
+ *
+ * @param {string} html - HTML source
+ * @param {Object} options - Rendering options for Renderer
+ * @returns {string} Rendered text
+ */
+function render(html, options) {
+  const document = parseDocument(html || "");
+  return new Renderer(options).blocks(childrenOf(document)).join("\n\n")
+    .trimEnd();
+}
+
+/**
+ * Convert HTML to Markdown
+ * Handles headings, emphasis, links, images, nested and ordered lists,
+ * blockquotes, tables and fenced code blocks with language hints.
+ *
+ * @param {string} html - HTML source
+ * @param {Object} [options] - Conversion options
+ * @param {Function} [options.citations] - Maps a citation link's href to its
+ *   source number; citation links are then rendered as [n]
+ * @returns {string} Markdown
+ */
+export function htmlToMarkdown(html, { citations } = {}) {
+  return render(html, { plain: false, citations });
+}
+
+/**
+ * Convert HTML to plain text, keeping paragraphs, list markers and link targets
+ * @param {string} html - HTML source
+ * @param {Object} [options] - Conversion options, as for htmlToMarkdown
+ * @returns {string} Plain text
+ */
+export function htmlToPlain(html, { citations } = {}) {
+  return render(html, { plain: true, citations });
+}
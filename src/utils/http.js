@@ -0,0 +1,342 @@
+import { getConfig } from "./config.js";
+import { KagiError } from "./errors.js";
+import { RESPONSE_CODEC, withFixture } from "./fixtures.js";
+
+/**
+ * Shared request layer for calls to Kagi
+ *
+ * Every call to Kagi goes through runRequest, directly or through kagiFetch.
+ * Calls pass a client-side rate limiter shared by all tools and sessions,
+ * each attempt has a time limit, and rate-limited (429) or temporarily failed
+ * (5xx, connection error) calls are retried with exponential backoff and
+ * jitter, or after the delay the server asks for with Retry-After. An
+ * AbortSignal, e.g. from an MCP cancellation notification, stops the call at
+ * any point; operations get the attempt's signal and pass it on to their
+ * requests. Calls that name their request are recorded or replayed in
+ * fixture mode (see fixtures.js).
+ */
+
+// Statuses worth another attempt: rate limited or temporarily unavailable
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Error codes of requests that never reached Kagi or were cut off
+const TRANSIENT_CODES = new Set([
+  "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE",
+  "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+]);
+
+/**
+ * Error for a response whose status is worth retrying
+ */
+class RetryableStatusError extends Error {
+  /**
+   * @param {Response} response - Failed response
+   * @param {number|null} retryAfterMs - Delay asked for by Retry-After
+   */
+  constructor(response, retryAfterMs) {
+    super(`HTTP ${response.status}: ${response.statusText}`);
+    this.name = "RetryableStatusError";
+    this.status = response.status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Token bucket limiting how many calls start per second
+ * Waiting callers are served in order.
+ */
+class RateLimiter {
+  /**
+   * @param {number} rate - Calls per second
+   * @param {number} burst - Calls that may start at once after a quiet period
+   */
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait for a free slot
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   * @returns {Promise<void>} Resolves when the call may start
+   */
+  acquire(signal) {
+    const turn = this.queue.then(() => this.take(signal));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Take a token, waiting for one to be refilled if needed
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   * @returns {Promise<void>}
+   */
+  async take(signal) {
+    signal?.throwIfAborted();
+    this.refill();
+    if (this.tokens < 1) {
+      await sleep(((1 - this.tokens) / this.rate) * 1000, signal);
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+
+  /**
+   * Add the tokens earned since the last update
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + ((now - this.updatedAt) / 1000) * this.rate,
+    );
+    this.updatedAt = now;
+  }
+}
+
+let rateLimiter;
+
+/**
+ * Get the rate limiter shared by all calls to Kagi
+ * @returns {RateLimiter|null} Rate limiter, or null if rate limiting is off
+ */
+function getRateLimiter() {
+  if (rateLimiter === undefined) {
+    const { rate_limit, burst } = getConfig().http;
+    rateLimiter = rate_limit > 0
+      ? new RateLimiter(rate_limit, burst || Math.max(1, Math.ceil(rate_limit)))
+      : null;
+  }
+  return rateLimiter;
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Stops waiting when aborted
+ * @returns {Promise<void>} Resolves after the delay, rejects when aborted
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Settle with a promise, or reject as soon as a signal aborts
+ * Lets callers stop waiting for work that does not stop itself, e.g. a
+ * kagi-ken call busy parsing a response.
+ *
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} [signal] - Signal to stop waiting on
+ * @returns {Promise} The promise's result
+ */
+function raceSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() =>
+      signal.removeEventListener("abort", onAbort)
+    );
+  });
+}
+
+/**
+ * Read the Retry-After header of a response
+ * @param {Response} response - Response
+ * @returns {number|null} Delay in milliseconds, or null if not given
+ */
+function parseRetryAfter(response) {
+  const value = response.headers.get("retry-after");
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed call may succeed when tried again
+ * Decided by the HTTP status or error code the error or one of its causes
+ * carries, never by the message, which may quote a number such as 429 for
+ * other reasons.
+ *
+ * @param {Error} error - Error of the call
+ * @returns {boolean} True for rate limiting, server errors and connection errors
+ */
+export function isTransientError(error) {
+  for (let current = error; current; current = current.cause) {
+    const status = current.status ?? current.statusCode ?? current.response?.status;
+    if (RETRY_STATUSES.has(status) || TRANSIENT_CODES.has(current.code)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Get the delay before the next attempt
+ *
+ * @param {number} attempt - Number of the failed attempt, from 0
+ * @param {Error} error - Error of the failed attempt
+ * @returns {number} Delay in milliseconds
+ * @throws {KagiError} If the server asks to wait longer than http.retry_max_ms
+ */
+function getRetryDelay(attempt, error) {
+  const { retry_base_ms, retry_max_ms } = getConfig().http;
+  if (error.retryAfterMs != null) {
+    if (error.retryAfterMs > retry_max_ms) {
+      const seconds = Math.ceil(error.retryAfterMs / 1000);
+      throw new KagiError(
+        error.status === 429 ? "rate_limited" : "upstream_error",
+        `${error.message} (Kagi asked to retry after ${seconds}s)`,
+        { hint: `Wait ${seconds} seconds before retrying.`, cause: error },
+      );
+    }
+    return error.retryAfterMs;
+  }
+  // Full jitter keeps concurrent callers from retrying in lockstep
+  return Math.random() * Math.min(retry_max_ms, retry_base_ms * 2 ** attempt);
+}
+
+/**
+ * Run a call to Kagi with rate limiting, a time limit per attempt, retries
+ * and cancellation
+ * The operation gets a signal that aborts on timeout or cancellation, to
+ * pass on to its requests. Work that ignores it is no longer awaited once it
+ * aborts. A timed-out attempt is not retried.
+ *
+ * @param {Function} operation - Async function called with the attempt's AbortSignal
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels the call
+ * @param {number} [options.timeoutMs] - Time limit per attempt (default: none)
+ * @param {string} [options.label] - Name of the call for error messages, e.g. "Search"
+ * @param {Function} [options.retryable] - Whether an error is worth another attempt
+ * @param {*} [options.fixture] - JSON value identifying the request, without
+ *   credentials; the JSON result is then recorded or replayed in fixture mode
+ * @returns {Promise} Result of the operation
+ * @throws {Error} The last error, a TimeoutError, or the abort reason when cancelled
+ */
+export function runRequest(operation, { fixture, ...options } = {}) {
+  const run = () => runAttempts(operation, options);
+  return fixture === undefined
+    ? run()
+    : withFixture(options.label || "Request", fixture, run);
+}
+
+/**
+ * Make the attempts of a call until one succeeds
+ * @param {Function} operation - Async function called with the attempt's AbortSignal
+ * @param {Object} options - Options of runRequest
+ * @returns {Promise} Result of the operation
+ */
+async function runAttempts(operation, {
+  signal,
+  timeoutMs,
+  label = "Request",
+  retryable = isTransientError,
+}) {
+  const { retries } = getConfig().http;
+
+  for (let attempt = 0;; attempt++) {
+    await getRateLimiter()?.acquire(signal);
+
+    const timeout = timeoutMs ? AbortSignal.timeout(timeoutMs) : null;
+    const signals = [signal, timeout].filter(Boolean);
+    const attemptSignal = signals.length > 0 ? AbortSignal.any(signals) : undefined;
+
+    try {
+      return await raceSignal(
+        operation(attemptSignal),
+        attemptSignal,
+      );
+    } catch (error) {
+      signal?.throwIfAborted();
+      if (timeout?.aborted) {
+        throw new DOMException(`${label} timeout`, "TimeoutError");
+      }
+      if (attempt >= retries || !retryable(error)) {
+        throw error;
+      }
+      await sleep(getRetryDelay(attempt, error), signal);
+    }
+  }
+}
+
+/**
+ * Fetch from Kagi through the shared request layer
+ * Responses with a retryable status are retried and, once the retries are
+ * used up, turned into an error; other responses are returned as they are.
+ * In fixture mode, the response is recorded or replayed with its raw body.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} [init] - Fetch options (any signal is replaced)
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.timeoutMs] - Time limit per attempt, including reading the body
+ * @param {string} [options.label] - Name of the request for error messages
+ * @param {boolean} [options.idempotent] - Whether the request may be sent again after
+ *   Kagi may have acted on it; if false, only rate-limited requests are retried
+ * @param {*} [options.fixture] - JSON value identifying the request for fixtures
+ *   (default: method, URL and string body)
+ * @returns {Promise<Response>} Response
+ */
+export function kagiFetch(url, init = {}, {
+  signal,
+  timeoutMs,
+  label = "Request",
+  idempotent = true,
+  fixture,
+} = {}) {
+  const key = fixture ?? {
+    method: init.method || "GET",
+    url,
+    body: typeof init.body === "string" ? init.body : null,
+  };
+  const run = () =>
+    runAttempts(
+      async (attemptSignal) => {
+        const response = await fetch(url, { ...init, signal: attemptSignal });
+        if (RETRY_STATUSES.has(response.status)) {
+          await response.body?.cancel();
+          throw new RetryableStatusError(response, parseRetryAfter(response));
+        }
+        return response;
+      },
+      {
+        signal,
+        timeoutMs,
+        label,
+        retryable: (error) =>
+          idempotent ? isTransientError(error) : error.status === 429,
+      },
+    );
+  return withFixture(label, key, run, RESPONSE_CODEC);
+}
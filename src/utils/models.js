@@ -0,0 +1,333 @@
+import {
+  buildCookieHeader,
+  listAccounts,
+  redactSecrets,
+  resolveAccountName,
+  resolveCredentials,
+} from "./auth.js";
+import { getConfig } from "./config.js";
+import { KagiError, toKagiError } from "./errors.js";
+import { ResultCache } from "./cache.js";
+import { kagiFetch } from "./http.js";
+import { kagiUrl } from "./network.js";
+import { parseFrameJson, readKagiStream } from "./stream.js";
+
+/**
+ * Kagi Assistant models available to the account
+ *
+ * Models are discovered from the assistant profiles of the user's Kagi account
+ * and cached. assistant.models (KAGI_MODEL_LIST), when set, overrides which
+ * models are offered and is used on its own when discovery fails; without it,
+ * a failed discovery is an error, since any model list made up here would go
+ * stale. assistant.vision_models (KAGI_VISION_MODELS) likewise overrides which
+ * models accept images. Discovered models are cached per account.
+ *
+ * Kagi does not document its assistant API. The profile list endpoint and its
+ * "profiles.json" stream frame follow the requests the kagi.com assistant page
+ * makes, and have not been checked against recorded traffic yet (record a
+ * fixture with KAGI_FIXTURES=record to capture it). Nothing depends on them
+ * beyond the model list and its capabilities.
+ */
+
+const PROFILE_LIST_PATH = "/assistant/profile_list";
+
+// How long a failed discovery is remembered before Kagi is asked again
+const DISCOVERY_RETRY_MS = 5 * 60 * 1000;
+
+let discoveryCache = null;
+let failureCache = null;
+
+/**
+ * Get the cache for discovered models
+ * @returns {ResultCache} Models cache (TTL from assistant.models_ttl, in seconds)
+ */
+function getDiscoveryCache() {
+  if (!discoveryCache) {
+    discoveryCache = new ResultCache({
+      ttlMs: getConfig().assistant.models_ttl * 1000,
+      maxEntries: listAccounts().length,
+    });
+  }
+  return discoveryCache;
+}
+
+/**
+ * Get the cache for failed discoveries, so that a broken discovery does not
+ * hold up every assistant call
+ * @returns {ResultCache} Error messages per account
+ */
+function getFailureCache() {
+  if (!failureCache) {
+    failureCache = new ResultCache({
+      ttlMs: DISCOVERY_RETRY_MS,
+      maxEntries: listAccounts().length,
+    });
+  }
+  return failureCache;
+}
+
+/**
+ * Get the configured model list
+ * @returns {Array<string>|null} Model names, or null if not configured
+ */
+function getModelOverride() {
+  return getConfig().assistant.models || null;
+}
+
+/**
+ * Read an optional boolean capability from a profile
+ * @param {Object} profile - Profile JSON
+ * @param {Array<string>} keys - Candidate keys, in priority order
+ * @returns {boolean|null} Capability, or null if the profile does not say
+ */
+function readCapability(profile, keys) {
+  for (const key of keys) {
+    if (typeof profile[key] === "boolean") {
+      return profile[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn the assistant profiles of an account into models and custom assistants
+ * Built-in profiles have no id and stand for a plain model; profiles with an
+ * id are custom assistants built on a model.
+ *
+ * @param {Array<Object>} profiles - Profiles from the profile list
+ * @returns {{models: Array<Object>, profiles: Array<Object>}} Models and custom assistants
+ */
+function parseProfiles(profiles) {
+  const models = new Map();
+  const customProfiles = [];
+
+  for (const profile of profiles) {
+    const id = profile.model;
+    if (typeof id !== "string" || !id) {
+      continue;
+    }
+
+    if (!models.has(id)) {
+      models.set(id, {
+        id,
+        name: profile.model_name || (profile.id ? id : profile.name) || id,
+        provider: profile.model_provider || null,
+        vision: readCapability(profile, ["vision", "model_vision", "supports_images"]),
+        internet_access: readCapability(profile, ["model_internet_access", "supports_internet"]),
+        max_input_tokens: Number(profile.model_input_limit) || null,
+      });
+    }
+
+    if (profile.id) {
+      customProfiles.push({
+        id: String(profile.id),
+        name: profile.name || String(profile.id),
+        model: id,
+      });
+    }
+  }
+
+  return { models: [...models.values()], profiles: customProfiles };
+}
+
+/**
+ * Fetch the assistant profiles of the user's Kagi account
+ * @param {string} account - Kagi account
+ * @param {AbortSignal} [signal] - Cancels the discovery
+ * @returns {Promise<{models: Array<Object>, profiles: Array<Object>}>} Discovered models and custom assistants
+ * @throws {Error} If credentials are missing or the request fails
+ */
+async function discoverModels(account, signal) {
+  const credentials = resolveCredentials(account, { searchCookie: true });
+
+  const response = await kagiFetch(kagiUrl(PROFILE_LIST_PATH), {
+    method: "POST",
+    headers: {
+      "accept": "application/vnd.kagi.stream",
+      "content-type": "application/json",
+      "origin": "https://kagi.com",
+      "referer": "https://kagi.com/assistant",
+      "cookie": buildCookieHeader(credentials),
+    },
+    body: "{}",
+  }, {
+    signal,
+    timeoutMs: getConfig().timeouts.model_discovery_ms,
+    label: "Model discovery",
+  });
+
+  if (!response.ok) {
+    if (response.status === 401 || response.status === 403) {
+      throw new KagiError("auth_expired", "Invalid or expired session token");
+    }
+    throw new KagiError("upstream_error", `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  for await (const frame of readKagiStream(response.body)) {
+    if (frame.name === "profiles.json") {
+      const data = parseFrameJson(frame);
+      const profiles = Array.isArray(data) ? data : data.profiles;
+      const discovered = parseProfiles(Array.isArray(profiles) ? profiles : []);
+      if (discovered.models.length === 0) {
+        break;
+      }
+      return discovered;
+    }
+  }
+
+  throw new KagiError("upstream_changed", "Kagi returned no assistant models");
+}
+
+/**
+ * Get discovered models, from the cache when possible
+ * @param {string} account - Kagi account
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh] - Skip the cache
+ * @param {AbortSignal} [options.signal] - Cancels the discovery
+ * @returns {Promise<{models: Array<Object>, profiles: Array<Object>}>} Discovered models and custom assistants
+ */
+async function getDiscoveredModels(account, { refresh = false, signal } = {}) {
+  const cache = getDiscoveryCache();
+  const cached = refresh ? null : cache.get(account);
+  if (cached) {
+    return cached.value;
+  }
+  const failure = refresh ? null : getFailureCache().get(account);
+  if (failure) {
+    throw new KagiError(failure.value.category, failure.value.message);
+  }
+
+  try {
+    const discovered = await discoverModels(account, signal);
+    cache.set(account, discovered);
+    return discovered;
+  } catch (error) {
+    if (!signal?.aborted) {
+      const { category, message } = toKagiError(error);
+      getFailureCache().set(account, { category, message });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the models offered to the assistant tool, with their capabilities
+ * Capabilities the account does not report, or that could not be discovered,
+ * are null. When discovery fails, the configured model list is used on its own.
+ *
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh] - Rediscover instead of using cached models
+ * @param {string} [options.account] - Kagi account (default: the default account)
+ * @param {AbortSignal} [options.signal] - Cancels the discovery
+ * @returns {Promise<Object>} Models, custom assistants, and where the model list came from
+ * @throws {KagiError} If discovery fails and no model list is configured
+ */
+export async function getModels({ refresh = false, account, signal } = {}) {
+  const accountName = resolveAccountName(account);
+  const override = getModelOverride();
+  const visionOverride = getVisionModelOverride();
+
+  let discovered = { models: [], profiles: [] };
+  let discoveryError = null;
+  try {
+    discovered = await getDiscoveredModels(accountName, { refresh, signal });
+  } catch (error) {
+    signal?.throwIfAborted();
+    discoveryError = redactSecrets(error.message);
+    if (!override) {
+      throw new KagiError(
+        toKagiError(error).category,
+        `Assistant model discovery failed: ${discoveryError}`,
+        {
+          hint: "Set KAGI_MODEL_LIST (assistant.models) to the models to offer, as named in the model menu of kagi.com/assistant, or try again with kagi_list_models and refresh.",
+          cause: error,
+        },
+      );
+    }
+  }
+
+  let models = discovered.models;
+  if (override) {
+    const known = new Map(models.map((model) => [model.id, model]));
+    models = override.map((id) =>
+      known.get(id) || {
+        id,
+        name: id,
+        provider: null,
+        vision: null,
+        internet_access: null,
+        max_input_tokens: null,
+      }
+    );
+  }
+  if (visionOverride) {
+    models = models.map((model) => ({
+      ...model,
+      vision: visionOverride.includes(model.id),
+    }));
+  }
+
+  return {
+    source: override ? "config" : "kagi",
+    models,
+    profiles: discovered.profiles,
+    discoveryError,
+  };
+}
+
+/**
+ * Get the names of the models offered to the assistant tool
+ * Uses the configured model list without any network access when it is set.
+ *
+ * @param {string} [account] - Kagi account (default: the default account)
+ * @returns {Promise<Array<string>>} Model names
+ */
+export async function getAvailableModels(account) {
+  const override = getModelOverride();
+  if (override) {
+    return override;
+  }
+  const { models } = await getModels({ account });
+  return models.map((model) => model.id);
+}
+
+/**
+ * Get the default model: assistant.default_model (KAGI_DEFAULT_MODEL), or the
+ * first available model
+ * @param {Array<string>} availableModels - Available model names
+ * @returns {string} Default model name
+ */
+export function getDefaultModel(availableModels) {
+  return getConfig().assistant.default_model || availableModels[0];
+}
+
+/**
+ * Get the models configured as accepting images
+ * @returns {Array<string>|null} Model names, or null if not configured
+ */
+export function getVisionModelOverride() {
+  return getConfig().assistant.vision_models || null;
+}
+
+/**
+ * Get the models that accept image attachments
+ * @param {string} [account] - Kagi account (default: the default account)
+ * @returns {Promise<Array<string>|null>} Model names, or null if unknown
+ */
+export async function getVisionModels(account) {
+  const override = getVisionModelOverride();
+  if (override) {
+    return override;
+  }
+
+  let models;
+  try {
+    ({ models } = await getModels({ account }));
+  } catch {
+    return null;
+  }
+  if (models.every((model) => model.vision === null)) {
+    return null;
+  }
+  return models.filter((model) => model.vision).map((model) => model.id);
+}
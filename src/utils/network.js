@@ -0,0 +1,183 @@
+import { readFileSync } from "fs";
+import { rootCertificates } from "tls";
+import { Agent, EnvHttpProxyAgent, setGlobalDispatcher } from "undici";
+import { getConfig } from "./config.js";
+import { publicLookup } from "./ssrf.js";
+
+/**
+ * Outbound network settings
+ *
+ * Every request the server makes goes through one global undici dispatcher,
+ * which is also used by fetch inside kagi-ken. The dispatcher honors
+ * HTTPS_PROXY, HTTP_PROXY and NO_PROXY (or http.proxy and http.no_proxy),
+ * trusts the CA bundle in http.ca_file in addition to the built-in ones, and,
+ * when http.base_url is not Kagi itself, sends requests for kagi.com there
+ * instead, so kagi-ken's hard-coded URLs follow the setting too.
+ *
+ * Pages fetched for kagi_fetch_page use a dispatcher of their own, with the
+ * same proxy and CA settings but without the base URL rewrite. Pages it
+ * connects to directly are checked against non-public addresses when
+ * connecting; the connection to a proxy is not, as the proxy is configured by
+ * the operator and may well be on the local network.
+ */
+
+export const KAGI_ORIGIN = "https://kagi.com";
+
+let pageDispatcher = null;
+
+/**
+ * Get the base URL of Kagi
+ * @returns {string} Base URL, without a trailing slash
+ */
+export function getBaseUrl() {
+  const url = new URL(getConfig().http.base_url);
+  return `${url.origin}${url.pathname.replace(/\/+$/, "")}`;
+}
+
+/**
+ * Build the URL of a Kagi page or endpoint
+ * @param {string} path - Path on kagi.com, e.g. "/assistant/prompt"
+ * @returns {string} URL under the configured base URL
+ */
+export function kagiUrl(path) {
+  return `${getBaseUrl()}${path}`;
+}
+
+/**
+ * Read the extra CA bundle
+ * @param {string} path - PEM file with one or more certificates
+ * @returns {string} Bundle contents
+ * @throws {Error} If the file cannot be read or holds no certificate
+ */
+function readCaFile(path) {
+  let pem;
+  try {
+    pem = readFileSync(path, "utf8");
+  } catch (error) {
+    throw new Error(`Failed to read CA file ${path}: ${error.code || error.message}`);
+  }
+  if (!pem.includes("-----BEGIN CERTIFICATE-----")) {
+    throw new Error(`CA file ${path} contains no PEM certificate`);
+  }
+  return pem;
+}
+
+/**
+ * Create a dispatcher interceptor that sends requests for kagi.com to the
+ * base URL
+ * @param {string} baseUrl - Base URL, without a trailing slash
+ * @returns {Function} undici interceptor
+ */
+function redirectKagiOrigin(baseUrl) {
+  const { origin, pathname } = new URL(baseUrl);
+  const prefix = pathname === "/" ? "" : pathname;
+  return (dispatch) => (options, handler) => {
+    if (new URL(options.origin).origin !== KAGI_ORIGIN) {
+      return dispatch(options, handler);
+    }
+    return dispatch({ ...options, origin, path: `${prefix}${options.path}` }, handler);
+  };
+}
+
+/**
+ * Get the TLS options with the extra CA bundle
+ * @returns {Object} TLS options, empty without http.ca_file
+ * @throws {Error} If the CA file cannot be read
+ */
+function getTlsOptions() {
+  const { ca_file } = getConfig().http;
+  return ca_file ? { ca: [...rootCertificates, readCaFile(ca_file)] } : {};
+}
+
+/**
+ * Create an agent with the proxy and CA settings
+ * @returns {EnvHttpProxyAgent} Agent
+ * @throws {Error} If the CA file cannot be read
+ */
+function createAgent() {
+  const { proxy, no_proxy } = getConfig().http;
+  const tls = getTlsOptions();
+
+  // Without explicit settings, EnvHttpProxyAgent reads the proxy variables
+  return new EnvHttpProxyAgent({
+    ...(proxy && { httpProxy: proxy, httpsProxy: proxy }),
+    ...(no_proxy !== undefined && { noProxy: no_proxy }),
+    connect: tls,
+    requestTls: tls,
+    proxyTls: tls,
+  });
+}
+
+/**
+ * Whether a request is sent without a proxy
+ * Follows the rules of EnvHttpProxyAgent: no proxy is set for the protocol,
+ * NO_PROXY is "*", or the host, or a domain it is in, is listed in NO_PROXY,
+ * optionally with a matching port.
+ *
+ * @param {string|URL} url - Request URL or origin
+ * @returns {boolean} True if the request connects directly
+ */
+export function bypassesProxy(url) {
+  const { proxy, no_proxy } = getConfig().http;
+  const { protocol, hostname, port } = new URL(url);
+  const httpProxy = proxy || process.env.http_proxy || process.env.HTTP_PROXY;
+  const httpsProxy = proxy || process.env.https_proxy || process.env.HTTPS_PROXY || httpProxy;
+  if (!(protocol === "https:" ? httpsProxy : httpProxy)) {
+    return true;
+  }
+
+  const noProxy = no_proxy ?? process.env.no_proxy ?? process.env.NO_PROXY ?? "";
+  if (noProxy === "*") {
+    return true;
+  }
+  const host = hostname.toLowerCase();
+  const portNumber = Number(port) || (protocol === "https:" ? 443 : 80);
+  return noProxy.split(/[,\s]/).filter(Boolean).some((entry) => {
+    const [, name, entryPort] = entry.match(/^(.+?)(?::(\d+))?$/);
+    const domain = name.replace(/^\*?\./, "").toLowerCase();
+    return (!entryPort || Number(entryPort) === portNumber) &&
+      (host === domain || host.endsWith(`.${domain}`));
+  });
+}
+
+/**
+ * Create the dispatcher for pages fetched on behalf of clients
+ * Direct connections resolve hosts with publicLookup; proxied requests keep
+ * the proxy agent, so the lookup never applies to the proxy itself.
+ *
+ * @returns {Dispatcher} Dispatcher
+ * @throws {Error} If the CA file cannot be read
+ */
+function createPageDispatcher() {
+  const direct = new Agent({ connect: { ...getTlsOptions(), lookup: publicLookup } });
+  return createAgent().compose((dispatch) => (options, handler) =>
+    bypassesProxy(options.origin)
+      ? direct.dispatch(options, handler)
+      : dispatch(options, handler)
+  );
+}
+
+/**
+ * Get the dispatcher for pages fetched on behalf of clients
+ * @returns {Dispatcher} Dispatcher that only connects directly to public addresses
+ */
+export function getPageDispatcher() {
+  pageDispatcher ??= createPageDispatcher();
+  return pageDispatcher;
+}
+
+/**
+ * Set up proxying, extra CAs and the base URL for all outbound requests
+ * Called once at startup, after the configuration is loaded.
+ *
+ * @throws {Error} If the CA file cannot be read
+ */
+export function configureNetwork() {
+  const agent = createAgent();
+  pageDispatcher = createPageDispatcher();
+
+  const baseUrl = getBaseUrl();
+  setGlobalDispatcher(
+    baseUrl === KAGI_ORIGIN ? agent : agent.compose(redirectKagiOrigin(baseUrl)),
+  );
+}
@@ -0,0 +1,118 @@
+import { readFileSync } from "fs";
+import { z } from "zod";
+import { getConfig, presetSchema } from "./config.js";
+import { KagiError } from "./errors.js";
+
+/**
+ * Named Kagi Assistant presets
+ *
+ * A preset bundles a custom assistant profile, a lens and other request
+ * settings under a readable name, so agents can ask for `security-research`
+ * instead of passing opaque Kagi ids. Presets are read from the JSON file
+ * named by assistant.presets_file (KAGI_ASSISTANT_PRESETS_FILE) and from
+ * assistant.presets in the config (KAGI_ASSISTANT_PRESETS); configured presets
+ * win over those in the file. They are read once per loaded configuration.
+ */
+
+const presetsSchema = z.record(z.string(), presetSchema);
+
+let presetsCache = null;
+
+/**
+ * Parse and validate presets JSON
+ * @param {string} json - Presets JSON
+ * @param {string} source - Where the JSON came from, for error messages
+ * @returns {Object<string, Object>} Presets by name
+ */
+function parsePresets(json, source) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new KagiError("missing_config", `Invalid JSON in ${source}: ${error.message}`);
+  }
+
+  const result = presetsSchema.safeParse(data);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new KagiError(
+      "missing_config",
+      `Invalid assistant preset in ${source} at "${issue.path.join(".")}": ${issue.message}`,
+    );
+  }
+  return result.data;
+}
+
+/**
+ * Load the configured assistant presets
+ * @returns {Object<string, Object>} Presets by name
+ * @throws {Error} If a presets source cannot be read or is invalid
+ */
+export function loadPresets() {
+  const config = getConfig();
+  if (presetsCache?.config === config) {
+    return presetsCache.presets;
+  }
+
+  const presets = {};
+  const { presets: configured, presets_file: filePath } = config.assistant;
+  if (filePath) {
+    let json;
+    try {
+      json = readFileSync(filePath, "utf8");
+    } catch (error) {
+      throw new KagiError(
+        "missing_config",
+        `Failed to read assistant presets file: ${error.message}`,
+      );
+    }
+    Object.assign(presets, parsePresets(json, filePath));
+  }
+
+  // Already validated with the rest of the configuration
+  Object.assign(presets, configured);
+  presetsCache = { config, presets };
+  return presets;
+}
+
+/**
+ * Get a preset by name
+ * @param {string} name - Preset name
+ * @returns {Object} Preset settings
+ * @throws {Error} If the preset is not configured
+ */
+export function getPreset(name) {
+  const presets = loadPresets();
+  if (!Object.hasOwn(presets, name)) {
+    const names = Object.keys(presets);
+    throw new KagiError(
+      "invalid_input",
+      `Unknown assistant preset "${name}". ${
+        names.length > 0
+          ? `Available presets: ${names.join(", ")}`
+          : "No presets are configured. Add them to assistant.presets in the config file, or set KAGI_ASSISTANT_PRESETS or KAGI_ASSISTANT_PRESETS_FILE."
+      }`,
+    );
+  }
+  return presets[name];
+}
+
+/**
+ * Describe the configured presets for tool descriptions
+ * @returns {string} Preset names with their descriptions, or an empty string
+ */
+export function describePresets() {
+  let presets;
+  try {
+    presets = loadPresets();
+  } catch (error) {
+    console.warn(error.message);
+    return "";
+  }
+
+  return Object.entries(presets)
+    .map(([name, preset]) =>
+      preset.description ? `${name} (${preset.description})` : name
+    )
+    .join(", ");
+}
@@ -0,0 +1,222 @@
+import { DomUtils, parseDocument } from "htmlparser2";
+import { htmlToMarkdown } from "./html.js";
+
+/**
+ * Main content extraction for web pages
+ *
+ * Strips page furniture (navigation, sidebars, comments, cookie banners...)
+ * and picks the element holding the page's main text: the <article> or
+ * <main> element if there is one with enough text, otherwise the element
+ * whose paragraphs hold the most text, discounted by its share of link text.
+ * The result is converted with the same HTML to Markdown converter as
+ * assistant replies.
+ */
+
+// Elements that never hold the main content
+const FURNITURE_TAGS = new Set([
+  "nav", "aside", "form", "dialog", "menu", "button", "select", "iframe",
+  "noscript", "template", "script", "style", "svg",
+]);
+
+// Landmark roles of page furniture
+const FURNITURE_ROLES = new Set([
+  "navigation", "banner", "contentinfo", "complementary", "search", "dialog",
+]);
+
+// Class or id words of page furniture
+const FURNITURE_PATTERN =
+  /(?:^|[\s_-])(?:ads?|advert\w*|banner|breadcrumbs?|comments?|cookies?|consent|footer|masthead|menu|modal|nav|navbar|newsletter|popup|promo\w*|related|share|sharing|sidebar|social|sponsored|subscribe)(?:$|[\s_-])/i;
+
+// Elements whose own text counts towards their parent's score
+const PARAGRAPH_TAGS = new Set(["p", "pre", "blockquote", "li", "td"]);
+
+// Text an <article> or <main> needs to be taken as the main content
+const MIN_LANDMARK_TEXT = 250;
+
+/**
+ * Get the normalized text of a node
+ * @param {Object} node - DOM node
+ * @returns {string} Text with collapsed whitespace
+ */
+function textOf(node) {
+  return DomUtils.textContent(node).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Get the share of a node's text that is inside links
+ * @param {Object} node - DOM node
+ * @returns {number} Link density from 0 to 1
+ */
+function linkDensity(node) {
+  const length = textOf(node).length;
+  if (length === 0) {
+    return 0;
+  }
+  const linkLength = DomUtils.getElementsByTagName("a", node)
+    .reduce((sum, link) => sum + textOf(link).length, 0);
+  return Math.min(1, linkLength / length);
+}
+
+/**
+ * Whether an element is page furniture
+ * Headers and footers only count outside the main content, where they hold
+ * site navigation rather than an article's title or byline.
+ *
+ * @param {Object} element - Element
+ * @returns {boolean} True if the element should be removed
+ */
+function isFurniture(element) {
+  if (FURNITURE_TAGS.has(element.name)) {
+    return true;
+  }
+  if (["header", "footer"].includes(element.name)) {
+    return !hasAncestor(element, ["article", "main"]);
+  }
+  const { role = "", class: className = "", id = "" } = element.attribs;
+  if (FURNITURE_ROLES.has(role.toLowerCase())) {
+    return true;
+  }
+  // Never drop the document structure itself, whatever its classes say
+  if (["html", "body", "main", "article"].includes(element.name)) {
+    return false;
+  }
+  return FURNITURE_PATTERN.test(`${className} ${id}`);
+}
+
+/**
+ * Whether an element is inside one of the given elements
+ * @param {Object} element - Element
+ * @param {Array<string>} names - Tag names
+ * @returns {boolean} True if an ancestor has one of the names
+ */
+function hasAncestor(element, names) {
+  for (let parent = element.parent; parent; parent = parent.parent) {
+    if (names.includes(parent.name)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find the page title
+ * @param {Object} document - Parsed document
+ * @returns {string} Title, or an empty string
+ */
+function findTitle(document) {
+  const ogTitle = DomUtils.findOne(
+    (element) =>
+      element.name === "meta" &&
+      element.attribs.property?.toLowerCase() === "og:title",
+    document.children,
+  );
+  if (ogTitle?.attribs.content?.trim()) {
+    return ogTitle.attribs.content.trim();
+  }
+  for (const name of ["title", "h1"]) {
+    const element = DomUtils.getElementsByTagName(name, document, true, 1)[0];
+    if (element && textOf(element)) {
+      return textOf(element);
+    }
+  }
+  return "";
+}
+
+/**
+ * Pick the element holding the main content
+ * @param {Object} document - Parsed document, with furniture removed
+ * @returns {Object} Main content element, or the body if none stands out
+ */
+function findMainContent(document) {
+  const landmarks = [
+    ...DomUtils.getElementsByTagName("article", document),
+    ...DomUtils.getElementsByTagName("main", document),
+    ...DomUtils.findAll(
+      (element) => element.attribs.role?.toLowerCase() === "main",
+      document.children,
+    ),
+  ];
+  const landmark = landmarks
+    .map((element) => ({ element, length: textOf(element).length }))
+    .filter(({ length }) => length >= MIN_LANDMARK_TEXT)
+    .sort((a, b) => b.length - a.length)[0];
+  if (landmark) {
+    return landmark.element;
+  }
+
+  // Each paragraph adds its length to its parent and half to its grandparent
+  const scores = new Map();
+  for (const paragraph of DomUtils.findAll(
+    (element) => PARAGRAPH_TAGS.has(element.name),
+    document.children,
+  )) {
+    const length = textOf(paragraph).length;
+    if (length < 25) {
+      continue;
+    }
+    const parent = paragraph.parent;
+    const grandparent = parent?.parent;
+    if (parent?.type === "tag") {
+      scores.set(parent, (scores.get(parent) || 0) + length);
+    }
+    if (grandparent?.type === "tag") {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+    }
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity(element));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  }
+  return best || DomUtils.getElementsByTagName("body", document, true, 1)[0] ||
+    document;
+}
+
+/**
+ * Make link and image URLs absolute, so they still work out of context
+ * @param {Object} root - Element whose links to resolve
+ * @param {string} baseUrl - URL of the page
+ */
+function resolveUrls(root, baseUrl) {
+  for (const element of DomUtils.findAll(
+    (node) => Boolean(node.attribs.href || node.attribs.src),
+    [root],
+  )) {
+    for (const name of ["href", "src"]) {
+      const value = element.attribs[name];
+      if (!value || value.startsWith("#")) {
+        continue;
+      }
+      try {
+        element.attribs[name] = new URL(value, baseUrl).href;
+      } catch {
+        // Leave URLs that cannot be resolved as they are
+      }
+    }
+  }
+}
+
+/**
+ * Extract the main readable content of a web page as Markdown
+ *
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - URL of the page, for relative links
+ * @returns {{title: string, markdown: string}} Page title and main content
+ */
+export function extractReadable(html, baseUrl) {
+  const document = parseDocument(html);
+  const title = findTitle(document);
+
+  for (const element of DomUtils.findAll(isFurniture, document.children)) {
+    DomUtils.removeElement(element);
+  }
+
+  const main = findMainContent(document);
+  resolveUrls(main, baseUrl);
+  return { title, markdown: htmlToMarkdown(DomUtils.getOuterHTML(main)) };
+}
@@ -0,0 +1,70 @@
+import { DomUtils, parseDocument } from "htmlparser2";
+
+/**
+ * Kagi search result page parser
+ *
+ * Reads the results of Kagi's search page without JavaScript (/html/search)
+ * into the shape kagi-ken's search returns, {data: [{t: 0, url, title,
+ * snippet}]}, using the same markup: main results are .search-result
+ * elements with a .__sri_title_link, grouped results (more pages of one
+ * site) are .__srgi elements with a link in .__srgi-title, and both have
+ * their snippet in .__sri-desc. Results are kept in page order.
+ */
+
+/**
+ * Check whether an element has a class
+ * @param {Object} node - DOM node
+ * @param {string} name - Class name
+ * @returns {boolean} True if the node is an element with the class
+ */
+function hasClass(node, name) {
+  return (node.attribs?.class || "").split(/\s+/).includes(name);
+}
+
+/**
+ * Get the normalized text of a node
+ * @param {Object|null} node - DOM node
+ * @returns {string} Text with collapsed whitespace, or an empty string
+ */
+function textOf(node) {
+  return node ? DomUtils.textContent(node).replace(/\s+/g, " ").trim() : "";
+}
+
+/**
+ * Find the title link of a result
+ * @param {Object} result - Result element
+ * @returns {Object|null} Link element
+ */
+function findTitleLink(result) {
+  const isLink = (node) => node.name === "a" && node.attribs.href;
+  if (hasClass(result, "__srgi")) {
+    const title = DomUtils.findOne((node) => hasClass(node, "__srgi-title"), result.children);
+    return title && (isLink(title) ? title : DomUtils.findOne(isLink, title.children));
+  }
+  return DomUtils.findOne(
+    (node) => isLink(node) && hasClass(node, "__sri_title_link"),
+    result.children,
+  );
+}
+
+/**
+ * Parse the results of a Kagi search page
+ * @param {string} html - Search page HTML
+ * @returns {Array<{t: number, url: string, title: string, snippet: string}>} Results
+ */
+export function parseSearchPage(html) {
+  const results = DomUtils.findAll(
+    (node) => hasClass(node, "search-result") || hasClass(node, "__srgi"),
+    parseDocument(html).children,
+  );
+
+  return results.flatMap((result) => {
+    const link = findTitleLink(result);
+    const title = textOf(link);
+    if (!title) {
+      return [];
+    }
+    const snippet = DomUtils.findOne((node) => hasClass(node, "__sri-desc"), result.children);
+    return [{ t: 0, url: link.attribs.href, title, snippet: textOf(snippet) }];
+  });
+}
@@ -0,0 +1,157 @@
+import { lookup as lookupCallback } from "dns";
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+import { getConfig } from "./config.js";
+import { KagiError } from "./errors.js";
+
+/**
+ * Guard against fetching internal addresses
+ *
+ * Pages fetched on behalf of a client must not reach the machine the server
+ * runs on or its network (server-side request forgery). Before each request,
+ * including every redirect, the host is resolved and the request is refused if
+ * any of its addresses is loopback, private, link-local or otherwise not
+ * publicly routable. The same check runs again on the addresses the page
+ * dispatcher connects to (publicLookup), so a DNS record that changes between
+ * the two lookups cannot slip through. Behind a proxy, the proxy resolves
+ * hosts and connects, so only the first check applies: a host whose DNS
+ * record changes after it can still reach what the proxy can reach. Hosts in
+ * fetch_page.allowed_hosts (KAGI_FETCH_ALLOWED_HOSTS) are exempt.
+ */
+
+const BLOCKED = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, including cloud metadata services
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // Documentation (TEST-NET-1)
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["198.51.100.0", 24], // Documentation (TEST-NET-2)
+  ["203.0.113.0", 24], // Documentation (TEST-NET-3)
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved and broadcast
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 96], // Unspecified, loopback and IPv4-compatible
+  ["64:ff9b::", 96], // NAT64, which embeds an IPv4 address
+  ["2001:db8::", 32], // Documentation
+  ["2002::", 16], // 6to4, which embeds an IPv4 address
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["fec0::", 10], // Site-local
+  ["ff00::", 8], // Multicast
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Whether an IP address is not publicly routable
+ * BlockList checks IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the
+ * IPv4 ranges.
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is blocked
+ */
+function isPrivateAddress(address) {
+  return BLOCKED.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Whether a host is exempt from the address check
+ * @param {string} host - Host name or IP address, without brackets
+ * @returns {boolean} True if the host is in fetch_page.allowed_hosts
+ */
+function isAllowedHost(host) {
+  return getConfig().fetch_page.allowed_hosts.includes(host.toLowerCase());
+}
+
+/**
+ * Create the error for a host that resolves to a blocked address
+ * @param {string} host - Host name
+ * @param {string} address - Blocked address
+ * @returns {KagiError} Error
+ */
+function blockedAddressError(host, address) {
+  return new KagiError(
+    "invalid_input",
+    `Refusing to fetch from ${host}: ${address} is not a public address`,
+    {
+      hint: "Only public web pages can be fetched. To allow an internal host, add it to fetch_page.allowed_hosts (KAGI_FETCH_ALLOWED_HOSTS).",
+    },
+  );
+}
+
+/**
+ * Resolve a host like dns.lookup, failing if any address is blocked
+ * Used as the connect lookup of the page dispatcher, so the addresses checked
+ * are the ones connected to. IP literals are not looked up; assertPublicUrl
+ * checks those.
+ *
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Called with (error, address, family), or (error, addresses) with options.all
+ */
+export function publicLookup(hostname, options, callback) {
+  lookupCallback(hostname, options, (error, address, family) => {
+    if (error || isAllowedHost(hostname)) {
+      callback(error, address, family);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      callback(blockedAddressError(hostname, blocked.address));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check that a URL may be fetched
+ *
+ * @param {string} url - URL to fetch
+ * @returns {Promise<URL>} Parsed URL
+ * @throws {KagiError} If the URL is not http(s) or its host resolves to a blocked address
+ */
+export async function assertPublicUrl(url) {
+  const parsed = new URL(url);
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new KagiError(
+      "invalid_input",
+      `Only http and https URLs can be fetched, not ${parsed.protocol}`,
+    );
+  }
+
+  // Brackets around IPv6 literals are part of the hostname
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (isAllowedHost(host)) {
+    return parsed;
+  }
+
+  let addresses;
+  try {
+    addresses = isIP(host)
+      ? [{ address: host }]
+      : await lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new KagiError(
+      "invalid_input",
+      `Cannot resolve host ${host}: ${error.code || error.message}`,
+      { hint: "Check the URL.", cause: error },
+    );
+  }
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw blockedAddressError(host, blocked.address);
+  }
+  return parsed;
+}
@@ -0,0 +1,91 @@
+import { KagiError } from "./errors.js";
+
+/**
+ * Incremental reader for Kagi's `application/vnd.kagi.stream` responses
+ *
+ * The stream is a sequence of frames of the form `<name>:<payload>`, e.g.
+ * `thread.json:{...}` or `new_message.json:{...}`. Frames are separated by a
+ * NUL byte, or by a newline directly followed by the next frame's name.
+ */
+
+const FRAME_NAME = /^([A-Za-z_][\w.-]*):/;
+const NEWLINE_BOUNDARY = /\n(?=[A-Za-z_][\w.-]*:)/;
+
+/**
+ * Find the end of the next complete frame in a buffer
+ * @param {string} buffer - Buffered stream text
+ * @returns {{end: number, skip: number}|null} Frame end and separator length, or null if incomplete
+ */
+function findBoundary(buffer) {
+  const nul = buffer.indexOf("\0");
+  const newline = buffer.search(NEWLINE_BOUNDARY);
+
+  if (nul !== -1 && (newline === -1 || nul < newline)) {
+    return { end: nul, skip: 1 };
+  }
+  if (newline !== -1) {
+    return { end: newline, skip: 1 };
+  }
+  return null;
+}
+
+/**
+ * Parse a single raw frame
+ * @param {string} raw - Raw frame text
+ * @returns {{name: string, data: string}|null} Parsed frame, or null if empty or unnamed
+ */
+function parseFrame(raw) {
+  const text = raw.replace(/^\s+/, "");
+  const match = text.match(FRAME_NAME);
+  if (!match) {
+    return null;
+  }
+  return { name: match[1], data: text.substring(match[0].length).trim() };
+}
+
+/**
+ * Read frames from a streaming response body as they arrive
+ *
+ * @param {AsyncIterable<Uint8Array>} body - Response body stream
+ * @yields {{name: string, data: string}} Frames in stream order
+ */
+export async function* readKagiStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = findBoundary(buffer)) !== null) {
+      const frame = parseFrame(buffer.substring(0, boundary.end));
+      buffer = buffer.substring(boundary.end + boundary.skip);
+      if (frame) {
+        yield frame;
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  const frame = parseFrame(buffer);
+  if (frame) {
+    yield frame;
+  }
+}
+
+/**
+ * Parse the JSON payload of a frame
+ * @param {{name: string, data: string}} frame - Frame to parse
+ * @returns {Object} Parsed payload
+ * @throws {Error} If the payload is not valid JSON
+ */
+export function parseFrameJson(frame) {
+  try {
+    return JSON.parse(frame.data);
+  } catch (error) {
+    throw new KagiError(
+      "upstream_changed",
+      `Failed to parse ${frame.name} frame: ${error.message}`,
+    );
+  }
+}
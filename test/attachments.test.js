@@ -0,0 +1,85 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, realpathSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadConfig } from "../src/utils/config.js";
+import {
+  checkImageSupport,
+  loadAttachments,
+  MAX_ATTACHMENTS,
+} from "../src/utils/attachments.js";
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+let dir;
+
+before(async () => {
+  dir = realpathSync(mkdtempSync(join(tmpdir(), "kagi-mcp-test-")));
+  writeFileSync(join(dir, "chart.png"), PNG);
+  writeFileSync(join(dir, "notes.md"), "# Notes");
+  writeFileSync(join(dir, "fake.pdf"), "not a pdf");
+  const configPath = join(dir, "config.json");
+  writeFileSync(configPath, JSON.stringify({ files: { roots: [dir], max_bytes: 64 } }));
+  await loadConfig({ path: configPath });
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("loads workspace files and base64 content with their types", async () => {
+  const [image, text, inline] = await loadAttachments([
+    { file_path: "chart.png" },
+    { file_path: join(dir, "notes.md") },
+    { content: `data:image/png;base64,${PNG.toString("base64")}` },
+  ]);
+  assert.deepEqual([image.name, image.mimeType], ["chart.png", "image/png"]);
+  assert.deepEqual([text.name, text.mimeType], ["notes.md", "text/plain"]);
+  assert.deepEqual([inline.name, inline.mimeType], ["attachment.png", "image/png"]);
+  assert.deepEqual(inline.data, PNG);
+});
+
+test("refuses content that does not match its type", async () => {
+  await assert.rejects(loadAttachments([{ file_path: "fake.pdf" }]),
+    /does not contain application\/pdf data/);
+  await assert.rejects(
+    loadAttachments([{ content: Buffer.from("hello").toString("base64"), mime_type: "image/png" }]),
+    /does not contain image\/png data/,
+  );
+  await assert.rejects(
+    loadAttachments([{ content: Buffer.from("a\0b").toString("base64"), name: "data.txt" }]),
+    /does not contain text\/plain data/,
+  );
+});
+
+test("refuses malformed, oversized, empty and unsupported attachments", async () => {
+  await assert.rejects(loadAttachments([{ content: "not base64!" }]), /not valid base64/);
+  await assert.rejects(
+    loadAttachments([{ content: Buffer.alloc(65, 0x61).toString("base64"), name: "big.txt" }]),
+    /65 bytes, more than the 64 byte limit/,
+  );
+  await assert.rejects(loadAttachments([{ content: "", name: "a.txt" }]), /exactly one of/);
+  await assert.rejects(loadAttachments([{ content: " ", name: "a.txt" }]), /is empty/);
+  await assert.rejects(
+    loadAttachments([{ content: "AAAA", name: "tool.exe" }]),
+    /Unsupported attachment type "\.exe"/,
+  );
+  await assert.rejects(
+    loadAttachments([{ file_path: "chart.png", content: "AAAA" }]),
+    /exactly one of file_path or content/,
+  );
+});
+
+test("limits the number of attachments", async () => {
+  const attachments = Array.from({ length: MAX_ATTACHMENTS + 1 }, () => ({ file_path: "notes.md" }));
+  await assert.rejects(loadAttachments(attachments), /Too many attachments/);
+});
+
+test("refuses images for models known not to accept them", async () => {
+  const attachments = await loadAttachments([{ file_path: "chart.png" }]);
+  assert.throws(() => checkImageSupport(attachments, "text-model", ["vision-model"]),
+    /does not accept images \(chart\.png\)/);
+  checkImageSupport(attachments, "vision-model", ["vision-model"]);
+  checkImageSupport(attachments, "text-model", null);
+});
@@ -0,0 +1,115 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { kagiListConversations } from "../src/tools/conversations.js";
+import { loadConfig } from "../src/utils/config.js";
+import {
+  createConversation,
+  getConversation,
+  getReply,
+  listConversations,
+} from "../src/utils/conversations.js";
+
+let dir;
+let registryPath;
+
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), "kagi-mcp-test-"));
+  registryPath = join(dir, "conversations.json");
+  const configPath = join(dir, "config.json");
+  writeFileSync(configPath, JSON.stringify({
+    assistant: {
+      conversations_file: registryPath,
+      max_conversations: 3,
+      conversations_ttl: 86400,
+    },
+  }));
+  await loadConfig({ path: configPath });
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Start a conversation with one message
+ * @param {string} id - Conversation id
+ * @param {string} [account] - Kagi account
+ * @returns {Object} The new conversation
+ */
+function start(id, account = "default") {
+  return createConversation({
+    id,
+    threadId: `thread-${id}`,
+    model: "model",
+    account,
+    prompt: `Prompt ${id}`,
+    message: { id: `message-${id}`, prompt: `Prompt ${id}`, model: "model", reply: `Reply ${id}` },
+  });
+}
+
+test("keeps only the most recently used conversations", () => {
+  for (const id of ["a", "b", "c", "d"]) {
+    start(id);
+  }
+  const ids = listConversations().map((conversation) => conversation.id).sort();
+  assert.deepEqual(ids, ["b", "c", "d"]);
+});
+
+test("drops conversations older than the age limit on the next write", () => {
+  const registry = JSON.parse(readFileSync(registryPath, "utf8"));
+  registry.conversations.old = {
+    ...registry.conversations.d,
+    id: "old",
+    lastUsedAt: new Date(Date.now() - 2 * 86400 * 1000).toISOString(),
+  };
+  writeFileSync(registryPath, JSON.stringify(registry));
+  assert.ok(getConversation("old"), "picks up changes made by another process");
+
+  start("e");
+  assert.equal(getConversation("old"), null);
+});
+
+test("stores replies in memory only", () => {
+  const [message] = getConversation("e").messages;
+  assert.equal(message.reply, undefined);
+  assert.doesNotMatch(readFileSync(registryPath, "utf8"), /Reply e/);
+  assert.equal(getReply("message-e"), "Reply e");
+});
+
+test("drops replies written by earlier versions", () => {
+  const registry = JSON.parse(readFileSync(registryPath, "utf8"));
+  registry.conversations.e.messages[0].reply = "Stored reply";
+  writeFileSync(registryPath, JSON.stringify(registry));
+
+  start("f");
+  assert.doesNotMatch(readFileSync(registryPath, "utf8"), /Stored reply/);
+});
+
+test("lists conversation summaries with a limit and an account filter", async () => {
+  start("g", "work");
+
+  const all = await kagiListConversations({ limit: 2 });
+  assert.equal(all.structuredContent.total, 3);
+  assert.deepEqual(
+    all.structuredContent.conversations.map((c) => c.id),
+    listConversations().slice(0, 2).map((c) => c.id),
+  );
+  assert.deepEqual(Object.keys(all.structuredContent.conversations[0]).sort(), [
+    "account", "current", "id", "message_count", "model", "title", "updated_at",
+  ]);
+  assert.match(all.content[0].text, /Showing 2 of 3 conversations/);
+
+  const work = await kagiListConversations({ account: "work" });
+  assert.deepEqual(work.structuredContent.conversations, [{
+    id: "g",
+    title: "Prompt g",
+    model: "model",
+    account: "work",
+    updated_at: getConversation("g").lastUsedAt,
+    message_count: 1,
+    current: true,
+  }]);
+});
@@ -0,0 +1,48 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, realpathSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadConfig } from "../src/utils/config.js";
+import {
+  getFileRoots,
+  requireConfiguredFileRoots,
+  resolveWorkspacePath,
+} from "../src/utils/files.js";
+
+const dir = realpathSync(mkdtempSync(join(tmpdir(), "kagi-mcp-test-")));
+const configPath = join(dir, "config.json");
+writeFileSync(join(dir, "notes.md"), "# Notes");
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Load a config with the given file roots
+ * @param {Array<string>} [roots] - File roots
+ */
+async function configureRoots(roots) {
+  writeFileSync(configPath, JSON.stringify(roots ? { files: { roots } } : {}));
+  await loadConfig({ path: configPath });
+}
+
+test("reads files from configured roots only", async () => {
+  await configureRoots([dir]);
+  assert.equal(await resolveWorkspacePath("notes.md"), join(dir, "notes.md"));
+  await assert.rejects(resolveWorkspacePath("/etc/hostname"), /outside the allowed directories/);
+});
+
+test("refuses the working directory once configured roots are required", async () => {
+  delete process.env.KAGI_FILE_ROOTS;
+  await configureRoots();
+  assert.deepEqual(getFileRoots(), [process.cwd()]);
+
+  requireConfiguredFileRoots();
+  assert.throws(() => getFileRoots(), (error) =>
+    error.category === "missing_config" && /KAGI_FILE_ROOTS/.test(error.hint));
+  await assert.rejects(resolveWorkspacePath(join(dir, "notes.md")), /no file roots configured/);
+
+  await configureRoots([dir]);
+  assert.deepEqual(getFileRoots(), [dir]);
+});
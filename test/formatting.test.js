@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeSearchResults, normalizeResultUrl } from "../src/utils/formatting.js";
+
+test("normalizes result URLs that point at the same page", () => {
+  const normalized = normalizeResultUrl("https://example.com/docs/?utm_source=kagi&page=2#intro");
+  assert.equal(normalized, "example.com/docs?page=2");
+  assert.equal(normalizeResultUrl("http://www.example.com/docs/?page=2&UTM_medium=x"), normalized);
+  assert.equal(normalizeResultUrl("https://example.com:8443/"), "example.com:8443");
+  assert.equal(normalizeResultUrl(" not a url "), "not a url");
+});
+
+test("ranks results found by several queries first", () => {
+  const merged = mergeSearchResults([
+    {
+      query: "a",
+      results: [
+        { title: "Only A", url: "https://only-a.example/" },
+        { title: "Shared", url: "https://www.shared.example/page" },
+      ],
+    },
+    {
+      query: "b",
+      results: [
+        { title: "Shared again", url: "https://shared.example/page/", published: "2024-01-01" },
+        { title: "Only B", url: "https://only-b.example/" },
+      ],
+    },
+  ]);
+
+  assert.deepEqual(merged.map((result) => result.title), ["Shared", "Only A", "Only B"]);
+  assert.deepEqual(merged.map((result) => result.rank), [1, 2, 3]);
+  assert.deepEqual(merged[0].queries, ["a", "b"]);
+  assert.equal(merged[0].published, "2024-01-01");
+  assert.equal(merged[0].score, Number((1 / 62 + 1 / 61).toFixed(6)));
+  assert.equal(merged[1].score, Number((1 / 61).toFixed(6)));
+});
+
+test("keeps results without a URL apart", () => {
+  const merged = mergeSearchResults([
+    { query: "a", results: [{ title: "First" }, { title: "Second" }] },
+    { query: "b", results: [{ title: "Third" }] },
+  ]);
+  assert.equal(merged.length, 3);
+});
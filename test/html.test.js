@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { htmlToMarkdown, htmlToPlain } from "../src/utils/html.js";
+
+test("converts common elements to Markdown", () => {
+  const html = `
+    <h2>Title</h2>
+    <p>Some <strong>bold</strong> and <em>italic</em> text with <code>code</code>.</p>
+    <ul><li>One</li><li>Two<ol><li>Nested</li></ol></li></ul>
+    <pre><code class="language-js">const a = 1;</code></pre>`;
+  assert.equal(htmlToMarkdown(html), [
+    "## Title",
+    "Some **bold** and *italic* text with `code`.",
+    "- One\n- Two\n  1. Nested",
+    "```js\nconst a = 1;\n```",
+  ].join("\n\n"));
+});
+
+test("encodes parentheses and whitespace in link targets", () => {
+  assert.equal(
+    htmlToMarkdown('<a href="https://en.wikipedia.org/wiki/Node_(software) x">Node</a>'),
+    "[Node](https://en.wikipedia.org/wiki/Node_%28software%29%20x)",
+  );
+  assert.equal(
+    htmlToMarkdown('<img src="/a (1).png" alt="A">'),
+    "![A](/a%20%281%29.png)",
+  );
+});
+
+test("escapes paragraph lines that would start a Markdown block", () => {
+  const cases = [
+    ["<p># not a heading</p>", "\\# not a heading"],
+    ["<p>###### six</p>", "\\###### six"],
+    ["<p>#hashtag</p>", "#hashtag"],
+    ["<p>1. not a list</p>", "1\\. not a list"],
+    ["<p>2) not a list</p>", "2\\) not a list"],
+    ["<p>2024. A year</p>", "2024\\. A year"],
+    ["<p>- not a list</p>", "\\- not a list"],
+    ["<p>+ not a list</p>", "\\+ not a list"],
+    ["<p>&gt; not a quote</p>", "\\> not a quote"],
+    ["<p>Heading?<br>===</p>", "Heading?\n\\==="],
+    ["<p>Text<br>---</p>", "Text\n\\---"],
+    ["<p>-1 degrees</p>", "-1 degrees"],
+    ["<ul><li>1. item</li></ul>", "- 1\\. item"],
+  ];
+  for (const [html, markdown] of cases) {
+    assert.equal(htmlToMarkdown(html), markdown, html);
+  }
+  assert.equal(htmlToPlain("<p># plain</p>"), "# plain");
+});
+
+test("keeps the indent of a leading plain text quote", () => {
+  assert.equal(
+    htmlToPlain("<blockquote><p>Quoted</p><p>Second</p></blockquote><p>After</p>"),
+    "  Quoted\n\n  Second\n\nAfter",
+  );
+  assert.equal(htmlToMarkdown("<blockquote>Quoted</blockquote>"), "> Quoted");
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { request } from "http";
+import {
+  getAllowedHosts,
+  isLoopbackHost,
+  startHttpServer,
+} from "../src/transports/http.js";
+
+test("treats localhost and loopback addresses as loopback", () => {
+  for (const host of ["localhost", "LOCALHOST", "127.0.0.1", "127.1.2.3", "::1", "[::1]", "::ffff:127.0.0.1"]) {
+    assert.equal(isLoopbackHost(host), true, host);
+  }
+});
+
+test("treats other hosts as reachable from the network", () => {
+  for (const host of ["0.0.0.0", "::", "192.168.1.10", "10.0.0.1", "example.com", "128.0.0.1", "localhost.example.com"]) {
+    assert.equal(isLoopbackHost(host), false, host);
+  }
+});
+
+test("allows loopback names, the listen host and configured names on the server's port", () => {
+  assert.deepEqual(getAllowedHosts("192.168.1.10", 3000, ["MCP.example.com", "proxy.example.com:443", "fd00::1"]), [
+    "localhost:3000",
+    "127.0.0.1:3000",
+    "[::1]:3000",
+    "mcp.example.com:3000",
+    "proxy.example.com:443",
+    "[fd00::1]:3000",
+    "192.168.1.10:3000",
+  ]);
+  assert.deepEqual(getAllowedHosts("0.0.0.0", 8080), [
+    "localhost:8080",
+    "127.0.0.1:8080",
+    "[::1]:8080",
+  ]);
+});
+
+test("rejects requests with an unknown Host header", async () => {
+  const server = await startHttpServer(() => {
+    throw new Error("No session expected");
+  }, { host: "127.0.0.1", port: 0 });
+  try {
+    const rebound = await sendRequest(server.port, "attacker.example:80");
+    assert.equal(rebound.status, 403);
+
+    const local = await sendRequest(server.port, `localhost:${server.port}`);
+    assert.equal(local.status, 400);
+  } finally {
+    await server.close();
+  }
+});
+
+/**
+ * Send a GET request to /mcp with a given Host header
+ * fetch() does not allow setting the Host header, so this uses http.request.
+ *
+ * @param {number} port - Server port
+ * @param {string} host - Host header
+ * @returns {Promise<{status: number}>} Response status
+ */
+function sendRequest(port, host) {
+  return new Promise((resolve, reject) => {
+    const req = request({ host: "127.0.0.1", port, path: "/mcp", headers: { host } }, (res) => {
+      res.resume();
+      res.on("end", () => resolve({ status: res.statusCode }));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
@@ -0,0 +1,99 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadConfig } from "../src/utils/config.js";
+import { isTransientError, kagiFetch, runRequest } from "../src/utils/http.js";
+
+let dir;
+let server;
+let replies;
+
+before(async () => {
+  server = createServer((req, res) => {
+    req.resume();
+    replies.shift()(res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  dir = mkdtempSync(join(tmpdir(), "kagi-mcp-test-"));
+  const configPath = join(dir, "config.json");
+  writeFileSync(configPath, JSON.stringify({
+    http: { retries: 2, retry_base_ms: 1, retry_max_ms: 1000, rate_limit: 0 },
+  }));
+  await loadConfig({ path: configPath });
+});
+
+after(() => {
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Get the URL of the test server
+ * @returns {string} URL
+ */
+function serverUrl() {
+  return `http://127.0.0.1:${server.address().port}/`;
+}
+
+test("retries on status codes and connection error codes", () => {
+  assert.equal(isTransientError(Object.assign(new Error("x"), { status: 429 })), true);
+  assert.equal(isTransientError(Object.assign(new Error("x"), { statusCode: 503 })), true);
+  assert.equal(isTransientError(Object.assign(new Error("x"), { code: "ECONNRESET" })), true);
+  assert.equal(isTransientError(Object.assign(new Error("x"), { status: 404 })), false);
+});
+
+test("finds the error code in the cause chain", () => {
+  const socketError = Object.assign(new Error("socket"), { code: "UND_ERR_SOCKET" });
+  const fetchError = new TypeError("fetch failed", { cause: socketError });
+  assert.equal(isTransientError(new Error("Failed to fetch", { cause: fetchError })), true);
+});
+
+test("does not retry on a status quoted in the message", () => {
+  assert.equal(isTransientError(new Error("HTTP 429: Too Many Requests")), false);
+  assert.equal(isTransientError(new Error("Summary of RFC 6585 section 503")), false);
+});
+
+test("runRequest retries a transient error and passes the attempt signal", async () => {
+  const signals = [];
+  const result = await runRequest(async (attemptSignal) => {
+    signals.push(attemptSignal);
+    if (signals.length === 1) {
+      throw Object.assign(new Error("busy"), { status: 503 });
+    }
+    return "done";
+  }, { timeoutMs: 1000 });
+  assert.equal(result, "done");
+  assert.equal(signals.length, 2);
+  assert.ok(signals.every((signal) => signal instanceof AbortSignal));
+});
+
+test("runRequest gives up on errors that are not transient", async () => {
+  let attempts = 0;
+  await assert.rejects(
+    runRequest(async () => {
+      attempts++;
+      throw new Error("HTTP 502 in the page text");
+    }),
+    /HTTP 502 in the page text/,
+  );
+  assert.equal(attempts, 1);
+});
+
+test("kagiFetch retries a 503 response", async () => {
+  replies = [
+    (res) => res.writeHead(503).end(),
+    (res) => res.writeHead(200).end("ok"),
+  ];
+  const response = await kagiFetch(serverUrl());
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), "ok");
+});
+
+test("kagiFetch fails when Kagi asks to wait longer than allowed", async () => {
+  replies = [(res) => res.writeHead(429, { "retry-after": "60" }).end()];
+  await assert.rejects(kagiFetch(serverUrl()), (error) =>
+    error.category === "rate_limited" && /retry after 60s/.test(error.message));
+});
@@ -0,0 +1,79 @@
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadConfig } from "../src/utils/config.js";
+import { getModels } from "../src/utils/models.js";
+
+let dir;
+let server;
+let reply;
+
+before(async () => {
+  server = createServer((req, res) => {
+    req.resume();
+    reply(res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  dir = mkdtempSync(join(tmpdir(), "kagi-mcp-test-"));
+  process.env.KAGI_SESSION_TOKEN = "test-token";
+  process.env.KAGI_SEARCH_COOKIE = "test-cookie";
+});
+
+beforeEach(() => {
+  delete process.env.KAGI_MODEL_LIST;
+});
+
+after(() => {
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Load a config pointing Kagi requests at the test server
+ * @param {Object} [assistant] - Assistant settings
+ */
+async function configure(assistant = {}) {
+  const configPath = join(dir, "config.json");
+  writeFileSync(configPath, JSON.stringify({
+    http: { base_url: `http://127.0.0.1:${server.address().port}`, retries: 0, rate_limit: 0 },
+    assistant,
+  }));
+  await loadConfig({ path: configPath });
+}
+
+test("reports a failed discovery instead of inventing models", async () => {
+  reply = (res) => res.writeHead(404).end();
+  await configure();
+  await assert.rejects(getModels({ refresh: true }), (error) =>
+    /Assistant model discovery failed: HTTP 404/.test(error.message) &&
+    /KAGI_MODEL_LIST/.test(error.hint));
+});
+
+test("uses the configured model list on its own when discovery fails", async () => {
+  reply = (res) => res.writeHead(404).end();
+  await configure({ models: ["model-a", "model-b"] });
+  const result = await getModels({ refresh: true });
+  assert.equal(result.source, "config");
+  assert.deepEqual(result.models.map((model) => model.id), ["model-a", "model-b"]);
+  assert.match(result.discoveryError, /HTTP 404/);
+});
+
+test("discovers models and custom assistants from the profile list", async () => {
+  const profiles = [
+    { model: "model-a", model_name: "Model A", model_provider: "Provider", vision: true },
+    { id: 42, name: "Researcher", model: "model-a" },
+    { model: "model-b", name: "Model B" },
+  ];
+  reply = (res) => res.writeHead(200).end(`hi:{}\0profiles.json:${JSON.stringify(profiles)}\0`);
+  await configure();
+  const result = await getModels({ refresh: true });
+  assert.equal(result.source, "kagi");
+  assert.deepEqual(result.models.map(({ id, name, vision }) => ({ id, name, vision })), [
+    { id: "model-a", name: "Model A", vision: true },
+    { id: "model-b", name: "Model B", vision: null },
+  ]);
+  assert.deepEqual(result.profiles, [{ id: "42", name: "Researcher", model: "model-a" }]);
+});
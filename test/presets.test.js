@@ -0,0 +1,46 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadConfig } from "../src/utils/config.js";
+import { getPreset, loadPresets } from "../src/utils/presets.js";
+
+const dir = mkdtempSync(join(tmpdir(), "kagi-mcp-test-"));
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write the presets file and a config pointing at it, and load that config
+ * @param {Object} presets - Presets by name
+ */
+async function configure(presets) {
+  const presetsPath = join(dir, "presets.json");
+  const configPath = join(dir, "config.json");
+  writeFileSync(presetsPath, JSON.stringify(presets));
+  writeFileSync(configPath, JSON.stringify({
+    assistant: {
+      presets_file: presetsPath,
+      presets: { quick: { model: "configured" } },
+    },
+  }));
+  await loadConfig({ path: configPath });
+}
+
+test("reads presets once per loaded configuration", async () => {
+  await configure({ research: { lens_id: "lens" }, quick: { model: "file" } });
+  const presets = loadPresets();
+  assert.deepEqual(presets, {
+    research: { lens_id: "lens" },
+    quick: { model: "configured" },
+  });
+
+  writeFileSync(join(dir, "presets.json"), "not json");
+  assert.equal(loadPresets(), presets);
+  assert.deepEqual(getPreset("research"), { lens_id: "lens" });
+
+  await configure({ other: {} });
+  assert.deepEqual(Object.keys(loadPresets()), ["other", "quick"]);
+});
@@ -0,0 +1,102 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadConfig } from "../src/utils/config.js";
+import { describeFilters, resolveSearchFilters } from "../src/utils/filters.js";
+import { parseSearchPage } from "../src/utils/serp.js";
+import { buildSearchUrl, kagiSearchFetch } from "../src/tools/search.js";
+
+const SEARCH_PAGE = `
+<div id="main">
+  <div class="search-result">
+    <h3><a class="__sri_title_link" href="https://nodejs.org/"> Node.js </a></h3>
+    <div class="__sri-desc">Node.js is a <b>JavaScript</b>
+      runtime.</div>
+    <div class="sr-group">
+      <div class="__srgi">
+        <div class="__srgi-title"><a href="https://nodejs.org/en/download">Download</a></div>
+        <div class="__sri-desc">Get Node.js</div>
+      </div>
+    </div>
+  </div>
+  <div class="search-result">
+    <a class="__sri_title_link" href="https://example.com/">Example</a>
+  </div>
+  <div class="search-result"><a class="__sri_title_link" href="https://empty.example/"> </a></div>
+</div>`;
+
+let dir;
+let server;
+let requests;
+
+before(async () => {
+  requests = [];
+  server = createServer((req, res) => {
+    requests.push({ url: req.url, cookie: req.headers.cookie });
+    res.writeHead(200, { "content-type": "text/html" }).end(SEARCH_PAGE);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  dir = mkdtempSync(join(tmpdir(), "kagi-mcp-test-"));
+  const configPath = join(dir, "config.json");
+  writeFileSync(configPath, JSON.stringify({
+    http: { base_url: `http://127.0.0.1:${server.address().port}`, rate_limit: 0 },
+    cache: { ttl: 0 },
+  }));
+  process.env.KAGI_SESSION_TOKEN = "test-token";
+  await loadConfig({ path: configPath });
+});
+
+after(() => {
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("parses main and grouped results in page order", () => {
+  assert.deepEqual(parseSearchPage(SEARCH_PAGE), [
+    { t: 0, url: "https://nodejs.org/", title: "Node.js", snippet: "Node.js is a JavaScript runtime." },
+    { t: 0, url: "https://nodejs.org/en/download", title: "Download", snippet: "Get Node.js" },
+    { t: 0, url: "https://example.com/", title: "Example", snippet: "" },
+  ]);
+  assert.deepEqual(parseSearchPage("<html><body>No results</body></html>"), []);
+});
+
+test("resolves region, safe search and lens into search page parameters", () => {
+  const filters = resolveSearchFilters({ region: "DE", safe_search: "off", lens_id: "3", limit: 5 });
+  assert.deepEqual(filters.params, { r: "de", safe_search: "off", l: "3" });
+  assert.equal(describeFilters(filters.applied), "region: de; safe search: off; lens: 3; limit: 5");
+
+  const url = new URL(buildSearchUrl("node site:nodejs.org", filters.params));
+  assert.equal(url.pathname, "/html/search");
+  assert.deepEqual(Object.fromEntries(url.searchParams), {
+    q: "node site:nodejs.org",
+    r: "de",
+    safe_search: "off",
+    l: "3",
+  });
+
+  const none = resolveSearchFilters({});
+  assert.deepEqual(none.params, {});
+  assert.equal(describeFilters(none.applied), "");
+});
+
+test("sends the filters to Kagi and reports them in the result header", async () => {
+  requests.length = 0;
+  const result = await kagiSearchFetch({ queries: ["node"], region: "us", lens_id: "7" });
+
+  assert.equal(result.isError, false);
+  assert.equal(requests.length, 1);
+  const url = new URL(requests[0].url, "http://localhost");
+  assert.deepEqual(Object.fromEntries(url.searchParams), { q: "node", r: "us", l: "7" });
+  assert.match(requests[0].cookie, /kagi_session=test-token/);
+
+  assert.match(result.content[0].text, /Filters: region: us; lens: 7/);
+  assert.deepEqual(result.structuredContent.filters, { region: "us", lens_id: "7" });
+  assert.deepEqual(
+    result.structuredContent.queries[0].results.map((r) => r.url),
+    ["https://nodejs.org/", "https://nodejs.org/en/download", "https://example.com/"],
+  );
+});
@@ -0,0 +1,121 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadConfig } from "../src/utils/config.js";
+import { bypassesProxy, configureNetwork, getPageDispatcher } from "../src/utils/network.js";
+import { assertPublicUrl, publicLookup } from "../src/utils/ssrf.js";
+
+let dir;
+let proxy;
+
+before(async () => {
+  for (const name of ["http_proxy", "HTTP_PROXY", "https_proxy", "HTTPS_PROXY", "no_proxy", "NO_PROXY"]) {
+    delete process.env[name];
+  }
+  // Answers every tunnelled request itself instead of connecting anywhere
+  proxy = createServer();
+  proxy.on("connect", (req, socket) => {
+    socket.write("HTTP/1.1 200 Connection established\r\n\r\n");
+    socket.once("data", () =>
+      socket.end("HTTP/1.1 200 OK\r\ncontent-length: 7\r\nconnection: close\r\n\r\nproxied")
+    );
+  });
+  await new Promise((resolve) => proxy.listen(0, "127.0.0.1", resolve));
+  dir = mkdtempSync(join(tmpdir(), "kagi-mcp-test-"));
+});
+
+after(() => {
+  proxy.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Load a config and set up the network with it
+ * @param {Object} [settings] - Config settings
+ */
+async function configure(settings = {}) {
+  const configPath = join(dir, "config.json");
+  writeFileSync(configPath, JSON.stringify(settings));
+  await loadConfig({ path: configPath });
+  configureNetwork();
+}
+
+/**
+ * Call publicLookup like a connecting socket does
+ * @param {string} hostname - Host name
+ * @returns {Promise<string>} Resolved address
+ */
+function lookupPublic(hostname) {
+  return new Promise((resolve, reject) => {
+    publicLookup(hostname, {}, (error, address) => error ? reject(error) : resolve(address));
+  });
+}
+
+test("refuses private, loopback and documentation addresses", async () => {
+  await configure();
+  for (const url of [
+    "http://127.0.0.1/",
+    "http://10.1.2.3/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://192.0.2.10/",
+    "http://198.51.100.7/",
+    "http://203.0.113.1/",
+    "http://[::1]/",
+    "http://[::ffff:192.168.0.1]/",
+    "http://[2001:db8::1]/",
+  ]) {
+    await assert.rejects(assertPublicUrl(url), /is not a public address/, url);
+  }
+});
+
+test("accepts public addresses and allowed hosts", async () => {
+  await configure({ fetch_page: { allowed_hosts: ["127.0.0.1"] } });
+  assert.equal((await assertPublicUrl("https://1.1.1.1/")).hostname, "1.1.1.1");
+  assert.equal((await assertPublicUrl("http://127.0.0.1:8080/")).port, "8080");
+});
+
+test("refuses other schemes", async () => {
+  await configure();
+  await assert.rejects(assertPublicUrl("file:///etc/passwd"), /Only http and https URLs/);
+});
+
+test("checks the addresses a host resolves to when connecting", async () => {
+  await configure();
+  await assert.rejects(lookupPublic("localhost"), /127\.0\.0\.1 is not a public address/);
+  await configure({ fetch_page: { allowed_hosts: ["localhost"] } });
+  assert.equal(await lookupPublic("localhost"), "127.0.0.1");
+});
+
+test("matches hosts against the no-proxy list", async () => {
+  await configure();
+  assert.equal(bypassesProxy("https://example.com"), true);
+
+  await configure({
+    http: { proxy: "http://proxy.test:3128", no_proxy: "internal.test, *.corp.test, api.test:8443" },
+  });
+  assert.equal(bypassesProxy("https://example.com"), false);
+  assert.equal(bypassesProxy("http://internal.test"), true);
+  assert.equal(bypassesProxy("http://docs.internal.test"), true);
+  assert.equal(bypassesProxy("http://notinternal.test"), false);
+  assert.equal(bypassesProxy("https://wiki.corp.test"), true);
+  assert.equal(bypassesProxy("https://api.test:8443"), true);
+  assert.equal(bypassesProxy("https://api.test"), false);
+
+  await configure({ http: { proxy: "http://proxy.test:3128", no_proxy: "*" } });
+  assert.equal(bypassesProxy("https://example.com"), true);
+});
+
+test("checks direct connections but not the connection to the proxy", async () => {
+  const proxyUrl = `http://localhost:${proxy.address().port}`;
+  await configure({ http: { proxy: proxyUrl, no_proxy: "localhost" } });
+  const response = await fetch("http://example.test/", { dispatcher: getPageDispatcher() });
+  assert.equal(await response.text(), "proxied");
+
+  await assert.rejects(
+    fetch("http://localhost/", { dispatcher: getPageDispatcher() }),
+    (error) => /is not a public address/.test(error.cause?.message),
+  );
+});
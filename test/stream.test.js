@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFrameJson, readKagiStream } from "../src/utils/stream.js";
+
+/**
+ * Read all frames of a stream sent in the given chunks
+ * @param {Array<string|Uint8Array>} chunks - Body chunks
+ * @returns {Promise<Array<Object>>} Frames
+ */
+async function readFrames(chunks) {
+  const encoder = new TextEncoder();
+  const body = chunks.map((chunk) => typeof chunk === "string" ? encoder.encode(chunk) : chunk);
+  const frames = [];
+  for await (const frame of readKagiStream(body)) {
+    frames.push(frame);
+  }
+  return frames;
+}
+
+test("splits frames on NUL bytes and on newlines before a frame name", async () => {
+  const frames = await readFrames([
+    'hi:{"v":1}\0thread.json:{"id":"t1"}\nnew_message.json:{"reply":"a\\nb"}\n',
+  ]);
+  assert.deepEqual(frames, [
+    { name: "hi", data: '{"v":1}' },
+    { name: "thread.json", data: '{"id":"t1"}' },
+    { name: "new_message.json", data: '{"reply":"a\\nb"}' },
+  ]);
+});
+
+test("keeps newlines inside a payload that are not followed by a frame name", async () => {
+  const frames = await readFrames(["tokens.json:line one\n  {indented}\n\0"]);
+  assert.deepEqual(frames, [{ name: "tokens.json", data: "line one\n  {indented}" }]);
+});
+
+test("joins frames and multi-byte characters split across chunks", async () => {
+  const bytes = new TextEncoder().encode('new_message.json:{"reply":"café"}\0');
+  const split = bytes.indexOf(0xc3) + 1;
+  const frames = await readFrames([
+    "thread.js",
+    'on:{"id":"t1"}\0',
+    bytes.subarray(0, split),
+    bytes.subarray(split),
+  ]);
+  assert.deepEqual(frames.map(parseFrameJson), [{ id: "t1" }, { reply: "café" }]);
+});
+
+test("skips empty and unnamed frames", async () => {
+  const frames = await readFrames(["\0\0  \n\0{not a frame}\0done:ok"]);
+  assert.deepEqual(frames, [{ name: "done", data: "ok" }]);
+});
+
+test("reports a frame that is not JSON", () => {
+  assert.throws(() => parseFrameJson({ name: "thread.json", data: "{" }), (error) =>
+    error.category === "upstream_changed" && /thread\.json frame/.test(error.message));
+});